@@ -0,0 +1,84 @@
+const { lookupByModelPrefix } = require('./models');
+
+// Whether a model accepts image input, by model prefix; the longest matching prefix wins.
+// Unknown models (e.g. on OpenAI-compatible servers) are assumed to be text-only unless `vision` is `on`.
+const VISION_MODELS = {
+  'gpt-3.5-turbo': false,
+  'gpt-4': false,
+  'gpt-4-turbo': true,
+  'gpt-4o': true,
+  'gpt-4.1': true,
+  'gpt-4.5': true,
+  'gpt-5': true,
+  'o1': true,
+  'o1-mini': false,
+  'o1-preview': false,
+  'o3': true,
+  'o3-mini': false,
+  'o4-mini': true,
+  'claude': true,
+  'claude-2': false,
+  'claude-instant': false,
+};
+
+function supportsVision(model) {
+  return lookupByModelPrefix(VISION_MODELS, model) ?? false;
+}
+
+/**
+ * Whether images are sent to the model for these settings (`vision`: auto, on or off).
+ */
+function visionEnabled(settings) {
+  if (settings.vision === 'auto') return supportsVision(settings.model);
+  return settings.vision === 'on';
+}
+
+// Downloads run inside the channel's queue, so a stalled one must not hold it up
+const DOWNLOAD_TIMEOUT_MS = 15000;
+
+// Content types may carry parameters ("text/plain; charset=utf-8"); "text/*" matches the whole family
+function matchesType(contentType, patterns) {
+  const type = (contentType ?? '').split(';')[0].trim().toLowerCase();
+  if (!type) return false;
+  return patterns.some(pattern => pattern === type || (pattern.endsWith('/*') && type.startsWith(pattern.slice(0, -1))));
+}
+
+async function downloadText(attachment) {
+  const res = await fetch(attachment.url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.text();
+}
+
+/**
+ * Collects what the model should see of a message's attachments within the per-guild limits:
+ * images (as CDN URLs) and the contents of plain-text files, returned as `{ images, text }`.
+ * Attachments that are too large, too many or of another type are left out.
+ */
+async function readAttachments(message, settings) {
+  const images = [];
+  const texts = [];
+  if (!settings.readAttachments) return { images, text: '' };
+
+  for (const attachment of message.attachments?.values() ?? []) {
+    if (matchesType(attachment.contentType, settings.imageTypes)) {
+      if (images.length >= settings.maxImages || attachment.size > settings.maxImageSize) {
+        console.log(`Skipping image ${attachment.name} of message ${message.id} (${attachment.size} bytes)`);
+        continue;
+      }
+      images.push({ url: attachment.url, name: attachment.name, mimeType: attachment.contentType });
+    } else if (matchesType(attachment.contentType, settings.textAttachmentTypes)) {
+      if (attachment.size > settings.maxTextAttachmentSize) {
+        console.log(`Skipping attachment ${attachment.name} of message ${message.id} (${attachment.size} bytes)`);
+        continue;
+      }
+      try {
+        texts.push(`Attached file ${attachment.name}:\n\`\`\`\n${(await downloadText(attachment)).trim()}\n\`\`\``);
+      } catch (err) {
+        console.warn(`Failed to download attachment ${attachment.name} of message ${message.id}:`, err.message);
+      }
+    }
+  }
+  return { images, text: texts.join('\n\n') };
+}
+
+module.exports = { readAttachments, visionEnabled };
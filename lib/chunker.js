@@ -0,0 +1,87 @@
+// Leaves headroom below Discord's 2000 character limit
+const DEFAULT_CHUNK_LENGTH = 1950;
+
+// Boundaries to split on, best first. A boundary is only used if it keeps the chunk at least half full.
+const BOUNDARIES = [
+  /\n[ \t]*\n/g,
+  /\n/g,
+  /[.!?。！？…](?=\s)/g,
+  /\s/g,
+];
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+function lastMatchEnd(text, pattern) {
+  let end = -1;
+  for (const match of text.matchAll(pattern)) end = match.index + match[0].length;
+  return end;
+}
+
+// Last grapheme boundary not after `max`, so emoji and combined characters are never cut in half
+function graphemeCut(text, max) {
+  let cut = 0;
+  for (const { index } of graphemes.segment(text.substring(0, max + 8))) {
+    if (index > max) break;
+    cut = index;
+  }
+  return cut || max;
+}
+
+function findCut(text, max) {
+  const window = text.substring(0, max + 1);
+  for (const pattern of BOUNDARIES) {
+    const end = lastMatchEnd(window, pattern);
+    if (end > max / 2 && end <= max) return end;
+  }
+  return graphemeCut(text, max);
+}
+
+/**
+ * Returns the fence still open after `text` ({ marker, info }), given the fence open before it.
+ */
+function fenceAfter(text, fence) {
+  for (const line of text.split('\n')) {
+    const match = line.match(/^ {0,3}(`{3,}|~{3,})(.*)$/);
+    if (!match) continue;
+    if (!fence) {
+      fence = { marker: match[1], info: match[2].trim() };
+    } else if (match[1].startsWith(fence.marker) && !match[2].trim()) {
+      fence = null;
+    }
+  }
+  return fence;
+}
+
+/**
+ * Splits text into Discord-sized messages on paragraph, line, sentence or word boundaries.
+ * A fenced code block cut between two chunks is closed at the end of the first and re-opened
+ * (with the same language) at the start of the next one.
+ */
+function splitMessage(text, maxLength = DEFAULT_CHUNK_LENGTH) {
+  const chunks = [];
+  let rest = text.trim();
+  let fence = null;
+
+  while (rest) {
+    const opening = fence ? `${fence.marker}${fence.info}\n` : '';
+    if (opening.length + rest.length <= maxLength) {
+      chunks.push(opening + rest);
+      break;
+    }
+
+    // Reserve room for a closing fence in case the chunk ends inside a code block
+    const budget = maxLength - opening.length - (fence?.marker.length ?? 3) * 2 - 2;
+    const cut = findCut(rest, budget);
+    const body = rest.substring(0, cut).trimEnd();
+    const nextFence = fenceAfter(body, fence);
+    chunks.push(opening + body + (nextFence ? `\n${nextFence.marker}` : ''));
+
+    fence = nextFence;
+    // Keep indentation inside code blocks, drop the separating whitespace elsewhere
+    rest = fence ? rest.substring(cut).replace(/^\n+/, '') : rest.substring(cut).trimStart();
+  }
+
+  return chunks;
+}
+
+module.exports = { splitMessage };
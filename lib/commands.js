@@ -0,0 +1,534 @@
+const {
+  SlashCommandBuilder, ContextMenuCommandBuilder, ApplicationCommandType, PermissionFlagsBits, MessageFlags, ChannelType,
+} = require('discord.js');
+const { SETTINGS } = require('./config');
+const { isChannelAllowed } = require('./triggers');
+const { LANGUAGES } = require('./translation');
+const { reportPeriod, formatReport, formatCost } = require('./usage');
+const { splitMessage } = require('./chunker');
+
+const NO_PERMISSION_MESSAGE = "⛔ You need the Manage Server permission or one of the bot admin roles to do this.";
+const ACTIONS_DISABLED_MESSAGE = "⛔ Message actions are turned off in this channel.";
+const DEFAULT_LANGUAGE = 'en';
+
+// Right-click → Apps entries on messages, by command name
+const MESSAGE_ACTIONS = { 'Translate': 'translate', 'Explain': 'explain', 'Summarize': 'summarize' };
+
+function addScopeOption(command, defaultScope) {
+  return command.addStringOption(option => option
+    .setName('scope')
+    .setDescription(`Where the change applies (default: this ${defaultScope})`)
+    .addChoices({ name: 'this channel', value: 'channel' }, { name: 'this server', value: 'guild' }));
+}
+
+function addChannelOption(command) {
+  return command.addChannelOption(option => option
+    .setName('channel')
+    .setDescription('Channel or category')
+    .setRequired(true)
+    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum, ChannelType.GuildCategory));
+}
+
+function addKeyOption(command) {
+  return command.addStringOption(option => option
+    .setName('key')
+    .setDescription('Setting name')
+    .setRequired(true)
+    // There are more settings than the 25 choices Discord allows, so they are suggested while typing
+    .setAutocomplete(true));
+}
+
+const onionCommand = new SlashCommandBuilder()
+  .setName('onion')
+  .setDescription('Manage OnionBot')
+  .setDMPermission(false)
+  .addSubcommand(sub => sub.setName('status').setDescription('Show the bot status and the settings of this channel'))
+  .addSubcommand(sub => addScopeOption(sub
+    .setName('model')
+    .setDescription('Show or change the model')
+    .addStringOption(option => option.setName('name').setDescription('New model name, e.g. gpt-4.1'))
+    .addStringOption(option => option
+      .setName('provider')
+      .setDescription('API serving the model')
+      .addChoices(...SETTINGS.provider.map(provider => ({ name: provider, value: provider })))), 'server'))
+  .addSubcommand(sub => addScopeOption(sub.setName('pause').setDescription('Stop answering messages'), 'channel'))
+  .addSubcommand(sub => addScopeOption(sub.setName('resume').setDescription('Start answering messages again'), 'channel'))
+  .addSubcommand(sub => addScopeOption(sub
+    .setName('trigger')
+    .setDescription('Choose which messages the bot answers')
+    .addStringOption(option => option
+      .setName('mode')
+      .setDescription('Trigger mode')
+      .setRequired(true)
+      .addChoices(
+        { name: 'every message', value: 'always' },
+        { name: 'when mentioned', value: 'mention' },
+        { name: 'replies to the bot', value: 'reply' },
+        { name: 'mentions and replies to the bot', value: 'mentionOrReply' },
+        { name: 'messages starting with a prefix', value: 'prefix' },
+      ))
+    .addStringOption(option => option.setName('prefix').setDescription('Prefix for the prefix mode, e.g. !t')), 'channel'))
+  .addSubcommand(sub => addScopeOption(sub
+    .setName('languages')
+    .setDescription('Show or change the target languages of the translate mode')
+    .addStringOption(option => option.setName('codes').setDescription('Comma-separated language codes, e.g. en,ko,id')), 'server'))
+  .addSubcommand(sub => sub
+    .setName('mylanguage')
+    .setDescription('Show or change the language the message actions answer you in')
+    .addStringOption(option => option.setName('code').setDescription('Language code, e.g. ko')))
+  .addSubcommand(sub => sub.setName('limits').setDescription('Show the rate limits and token quotas, and how much you have used'))
+  .addSubcommand(sub => sub
+    .setName('usage')
+    .setDescription('Show token usage and estimated cost of this server')
+    .addStringOption(option => option
+      .setName('period')
+      .setDescription('Time range (default: last 7 days)')
+      .addChoices(
+        { name: 'today', value: 'today' },
+        { name: 'last 7 days', value: 'week' },
+        { name: 'this month', value: 'month' },
+      )))
+  .addSubcommandGroup(group => group
+    .setName('channels')
+    .setDescription('Server-wide channel allow and deny lists')
+    .addSubcommand(sub => sub.setName('show').setDescription('Show the allow and deny lists'))
+    .addSubcommand(sub => addChannelOption(sub.setName('allow').setDescription('Answer only in allowed channels and categories')))
+    .addSubcommand(sub => addChannelOption(sub.setName('deny').setDescription('Never answer in this channel or category')))
+    .addSubcommand(sub => addChannelOption(sub.setName('remove').setDescription('Remove a channel or category from both lists'))))
+  .addSubcommandGroup(group => group
+    .setName('prompt')
+    .setDescription('View and change the system prompt')
+    .addSubcommand(sub => sub.setName('show').setDescription('Show the prompt used in this channel'))
+    .addSubcommand(sub => addScopeOption(sub
+      .setName('set')
+      .setDescription('Replace the prompt')
+      .addStringOption(option => option.setName('text').setDescription('New prompt').setRequired(true)), 'server'))
+    .addSubcommand(sub => addScopeOption(sub.setName('reset').setDescription('Go back to the inherited prompt'), 'server')))
+  .addSubcommandGroup(group => group
+    .setName('glossary')
+    .setDescription('Preferred translations and do-not-translate terms of this server')
+    .addSubcommand(sub => sub.setName('show').setDescription('Show the glossary'))
+    .addSubcommand(sub => sub
+      .setName('set')
+      .setDescription('Set how a term is translated into a language')
+      .addStringOption(option => option.setName('term').setDescription('Term as written in messages').setRequired(true))
+      .addStringOption(option => option.setName('language').setDescription('Language code, e.g. ko').setRequired(true))
+      .addStringOption(option => option.setName('translation').setDescription('Preferred translation').setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('keep')
+      .setDescription('Never translate a term (game terms, product names, usernames)')
+      .addStringOption(option => option.setName('term').setDescription('Term as written in messages').setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('remove')
+      .setDescription('Remove a term from the glossary')
+      .addStringOption(option => option.setName('term').setDescription('Term as written in messages').setRequired(true))))
+  .addSubcommandGroup(group => group
+    .setName('config')
+    .setDescription('View and change any setting')
+    .addSubcommand(sub => sub
+      .setName('show')
+      .setDescription('Show settings (effective settings of this channel unless a scope is given)')
+      .addStringOption(option => option
+        .setName('scope')
+        .setDescription('Only show overrides stored for this scope')
+        .addChoices({ name: 'this channel', value: 'channel' }, { name: 'this server', value: 'guild' })))
+    .addSubcommand(sub => addScopeOption(addKeyOption(sub
+      .setName('set')
+      .setDescription('Change a setting'))
+      .addStringOption(option => option.setName('value').setDescription('New value').setRequired(true)), 'server'))
+    .addSubcommand(sub => addScopeOption(addKeyOption(sub
+      .setName('reset')
+      .setDescription('Remove an override so the setting is inherited again')), 'server'))
+    .addSubcommand(sub => sub.setName('reload').setDescription('Re-read the configuration file')));
+
+const messageActionCommands = Object.keys(MESSAGE_ACTIONS).map(name => new ContextMenuCommandBuilder()
+  .setName(name)
+  .setType(ApplicationCommandType.Message)
+  .setDMPermission(false));
+
+// The user's pick from /onion mylanguage, otherwise the language of their Discord client ("pt-BR" → "pt")
+function languageOfUser(interaction, userLanguages) {
+  return userLanguages.get(interaction.user.id) ?? interaction.locale?.split('-')[0] ?? DEFAULT_LANGUAGE;
+}
+
+// Settings of the channel the command was used in; threads inherit from their parent channel as in main.js
+function channelSettings(config, interaction) {
+  const parentId = interaction.channel?.isThread() ? interaction.channel.parentId : null;
+  return config.resolve(interaction.guildId, interaction.channelId, parentId);
+}
+
+function isAdmin(interaction, settings) {
+  if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) return true;
+  const roles = interaction.member?.roles;
+  // Uncached members come as raw API objects with a plain array of role IDs
+  const roleIds = Array.isArray(roles) ? roles : [...(roles?.cache.keys() ?? [])];
+  return settings.adminRoles.some(id => roleIds.includes(id));
+}
+
+function scopeTarget(interaction, defaultScope) {
+  const scope = interaction.options.getString('scope') ?? defaultScope;
+  return scope === 'channel'
+    ? { scope: 'channels', id: interaction.channelId, label: 'this channel' }
+    : { scope: 'guilds', id: interaction.guildId, label: 'this server' };
+}
+
+function formatSettings(settings) {
+  return '```json\n' + JSON.stringify(settings, null, 2) + '\n```';
+}
+
+function formatChannelList(ids) {
+  return ids.length ? ids.map(id => `<#${id}>`).join(', ') : '(empty)';
+}
+
+// Moves a channel ID between the guild-level allow/deny lists
+function updateChannelLists({ config }, interaction, addTo) {
+  const channelId = interaction.options.getChannel('channel').id;
+  const overrides = config.get('guilds', interaction.guildId);
+  for (const key of ['allowedChannels', 'deniedChannels']) {
+    const ids = (overrides[key] ?? []).filter(id => id !== channelId);
+    if (key === addTo) ids.push(channelId);
+    config.set('guilds', interaction.guildId, key, ids);
+  }
+  return addTo
+    ? `✅ <#${channelId}> added to \`${addTo}\`.`
+    : `✅ <#${channelId}> removed from the channel lists.`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+  if (days) return `${days}d ${hours % 24}h`;
+  if (hours) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+}
+
+function formatLimit(value, unit) {
+  return value > 0 ? `${value} ${unit}` : 'off';
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function setOption({ config }, interaction, defaultScope, key, value) {
+  const target = scopeTarget(interaction, defaultScope);
+  const parsed = config.set(target.scope, target.id, key, value);
+  return `✅ \`${key}\` set to \`${JSON.stringify(parsed)}\` for ${target.label}.`;
+}
+
+// Keyed by "<group> <subcommand>" or "<subcommand>"; `admin` handlers are only available to bot admins
+const handlers = {
+  'status': {
+    run(interaction, { config, getStatus }) {
+      const settings = channelSettings(config, interaction);
+      const status = getStatus(interaction.channelId);
+      let answering = 'yes';
+      if (settings.paused) answering = 'no (paused)';
+      else if (!isChannelAllowed(interaction.channel, settings)) answering = 'no (channel filtered)';
+      const trigger = settings.triggerMode === 'prefix'
+        ? `prefix \`${settings.triggerPrefix}\``
+        : settings.triggerMode;
+      return [
+        `🧅 **OnionBot status**`,
+        `Answering in this channel: ${answering}`,
+        `Trigger: ${trigger}`,
+        `Model: \`${settings.model}\` (${settings.provider})`,
+        `Queue: ${status.queue.queued} waiting (${status.queue.keyQueued} in this channel), ${status.queue.running}/${status.queue.concurrency} running`,
+        `Wait time: ${formatSeconds(status.queue.averageWaitMs)} average, ${formatSeconds(status.queue.oldestWaitMs)} longest now`,
+        `Uptime: ${formatDuration(Date.now() - status.startedAt)}`,
+        `Storage: ${status.storeDriver}`,
+        `Translation memory: ${status.translationMemory.size} entries, ${Math.round(status.translationMemory.hitRate * 100)}% hit rate `
+          + `(${status.translationMemory.hits} hits, ${status.translationMemory.misses} misses since start)`,
+        ...Object.entries(status.circuits).map(([provider, state]) => `Provider ${provider}: ${state}`),
+      ].join('\n');
+    },
+  },
+  'model': {
+    admin: true,
+    run(interaction, context) {
+      const name = interaction.options.getString('name');
+      const provider = interaction.options.getString('provider');
+      if (!name && !provider) {
+        const settings = channelSettings(context.config, interaction);
+        return `Model in this channel: \`${settings.model}\` (${settings.provider})`;
+      }
+      const results = [];
+      if (provider) results.push(setOption(context, interaction, 'guild', 'provider', provider));
+      if (name) results.push(setOption(context, interaction, 'guild', 'model', name));
+      return results.join('\n');
+    },
+  },
+  'pause': {
+    admin: true,
+    run: (interaction, context) => setOption(context, interaction, 'channel', 'paused', true),
+  },
+  'resume': {
+    admin: true,
+    run: (interaction, context) => setOption(context, interaction, 'channel', 'paused', false),
+  },
+  'trigger': {
+    admin: true,
+    run(interaction, context) {
+      const target = scopeTarget(interaction, 'channel');
+      const mode = interaction.options.getString('mode');
+      const prefix = interaction.options.getString('prefix');
+      if (prefix) context.config.set(target.scope, target.id, 'triggerPrefix', prefix);
+      context.config.set(target.scope, target.id, 'triggerMode', mode);
+      return `✅ Trigger mode for ${target.label} set to \`${mode}\`.`;
+    },
+  },
+  'languages': {
+    admin: true,
+    run(interaction, context) {
+      const codes = interaction.options.getString('codes');
+      if (!codes) {
+        const settings = channelSettings(context.config, interaction);
+        return [
+          `Target languages in this channel: ${settings.targetLanguages.join(', ')} (mode: ${settings.mode})`,
+          `Known codes: ${Object.keys(LANGUAGES).join(', ')}`,
+        ].join('\n');
+      }
+      const list = codes.toLowerCase().split(',').map(code => code.trim()).filter(Boolean);
+      const unknown = list.filter(code => !LANGUAGES[code]);
+      if (unknown.length) return `❗ Unknown language codes: ${unknown.join(', ')}`;
+      return setOption(context, interaction, 'guild', 'targetLanguages', list);
+    },
+  },
+  'mylanguage': {
+    run(interaction, { userLanguages }) {
+      const code = interaction.options.getString('code')?.trim().toLowerCase();
+      if (!code) {
+        const current = languageOfUser(interaction, userLanguages);
+        return `Message actions answer you in ${LANGUAGES[current]?.name ?? current}.`;
+      }
+      if (!LANGUAGES[code]) return `❗ Unknown language code. Known codes: ${Object.keys(LANGUAGES).join(', ')}`;
+      userLanguages.set(interaction.user.id, code);
+      return `✅ Message actions will answer you in ${LANGUAGES[code].name}.`;
+    },
+  },
+  'limits': {
+    run(interaction, { config, limits }) {
+      const settings = channelSettings(config, interaction);
+      const user = limits.usageOf('user', interaction.user.id);
+      const guild = limits.usageOf('guild', interaction.guildId);
+      return [
+        `⏳ **Limits in this channel**`,
+        `Messages per minute: ${formatLimit(settings.userRateLimit, 'per user')}, ${formatLimit(settings.channelRateLimit, 'per channel')}, ${formatLimit(settings.guildRateLimit, 'per server')}`,
+        `Your tokens: ${user.day} today (quota ${formatLimit(settings.userDailyTokens, 'tokens')}), ${user.month} this month (quota ${formatLimit(settings.userMonthlyTokens, 'tokens')})`,
+        `Server tokens: ${guild.day} today (quota ${formatLimit(settings.guildDailyTokens, 'tokens')}), ${guild.month} this month (quota ${formatLimit(settings.guildMonthlyTokens, 'tokens')})`,
+        `Days and months are counted in UTC.`,
+      ].join('\n');
+    },
+  },
+  'usage': {
+    admin: true,
+    run(interaction, { config, usage }) {
+      const settings = channelSettings(config, interaction);
+      const period = reportPeriod(interaction.options.getString('period') ?? 'week');
+      const spent = usage.spent(settings.budgetPeriod, interaction.guildId);
+      const fallback = settings.budgetFallbackModel ? `, then \`${settings.budgetFallbackModel}\`` : '';
+      return [
+        formatReport(usage.report({ ...period, guildId: interaction.guildId }), 'Usage of this server'),
+        `Spending this ${settings.budgetPeriod}: ${formatCost(spent)} (soft cap ${formatLimit(settings.guildSoftBudget, 'USD')}${fallback}, hard cap ${formatLimit(settings.guildHardBudget, 'USD')})`,
+      ].join('\n');
+    },
+  },
+  'channels show': {
+    admin: true,
+    run(interaction, { config }) {
+      const settings = config.resolve(interaction.guildId, null);
+      return [
+        `Allowed: ${formatChannelList(settings.allowedChannels)}`,
+        `Denied: ${formatChannelList(settings.deniedChannels)}`,
+      ].join('\n');
+    },
+  },
+  'channels allow': {
+    admin: true,
+    run: (interaction, context) => updateChannelLists(context, interaction, 'allowedChannels'),
+  },
+  'channels deny': {
+    admin: true,
+    run: (interaction, context) => updateChannelLists(context, interaction, 'deniedChannels'),
+  },
+  'channels remove': {
+    admin: true,
+    run: (interaction, context) => updateChannelLists(context, interaction, null),
+  },
+  'prompt show': {
+    run(interaction, { config }) {
+      const settings = channelSettings(config, interaction);
+      return `Prompt in this channel:\n>>> ${settings.prompt || '(empty)'}`;
+    },
+  },
+  'prompt set': {
+    admin: true,
+    run(interaction, context) {
+      const target = scopeTarget(interaction, 'guild');
+      context.config.set(target.scope, target.id, 'prompt', interaction.options.getString('text'));
+      return `✅ Prompt updated for ${target.label}.`;
+    },
+  },
+  'prompt reset': {
+    admin: true,
+    run(interaction, { config }) {
+      const target = scopeTarget(interaction, 'guild');
+      config.unset(target.scope, target.id, 'prompt');
+      return `✅ Prompt for ${target.label} now follows the inherited value.`;
+    },
+  },
+  'glossary show': {
+    run(interaction, { glossary }) {
+      const { terms, keep } = glossary.get(interaction.guildId);
+      const lines = Object.entries(terms).map(([term, translations]) => `${term} → ${Object.entries(translations)
+        .map(([code, translation]) => `${translation} (${code})`).join(', ')}`);
+      if (keep.length) lines.push(`Never translated: ${keep.join(', ')}`);
+      return `📖 **Glossary of this server**\n${lines.join('\n') || 'No terms yet.'}`;
+    },
+  },
+  'glossary set': {
+    admin: true,
+    run(interaction, { glossary }) {
+      const term = interaction.options.getString('term').trim();
+      const code = interaction.options.getString('language').trim().toLowerCase();
+      const translation = interaction.options.getString('translation').trim();
+      if (!LANGUAGES[code]) return `❗ Unknown language code. Known codes: ${Object.keys(LANGUAGES).join(', ')}`;
+      glossary.setTranslation(interaction.guildId, term, code, translation);
+      return `✅ "${term}" is translated as "${translation}" in ${LANGUAGES[code].name}.`;
+    },
+  },
+  'glossary keep': {
+    admin: true,
+    run(interaction, { glossary }) {
+      const term = interaction.options.getString('term').trim();
+      glossary.keep(interaction.guildId, term);
+      return `✅ "${term}" will not be translated.`;
+    },
+  },
+  'glossary remove': {
+    admin: true,
+    run(interaction, { glossary }) {
+      const term = interaction.options.getString('term').trim();
+      return glossary.remove(interaction.guildId, term)
+        ? `✅ "${term}" was removed from the glossary.`
+        : `❗ "${term}" is not in the glossary.`;
+    },
+  },
+  'config show': {
+    admin: true,
+    run(interaction, { config }) {
+      if (!interaction.options.getString('scope')) {
+        return `Effective settings in this channel:\n${formatSettings(channelSettings(config, interaction))}`;
+      }
+      const target = scopeTarget(interaction);
+      return `Overrides for ${target.label}:\n${formatSettings(config.get(target.scope, target.id))}`;
+    },
+  },
+  'config set': {
+    admin: true,
+    run(interaction, context) {
+      const key = interaction.options.getString('key');
+      let value = interaction.options.getString('value');
+      if (key === 'adminRoles') {
+        // Only server managers may hand out bot admin rights
+        if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) return NO_PERMISSION_MESSAGE;
+      }
+      if (SETTINGS[key] === 'list') {
+        // Accept pasted role and channel mentions as well as raw IDs
+        value = value.replace(/<(?:@&|#)(\d+)>/g, '$1');
+      }
+      if (key === 'reportChannel') {
+        value = value.replace(/^<#(\d+)>$/, '$1').trim();
+        // Reports of this server must not be posted into another one
+        if (value && !interaction.guild?.channels.cache.has(value)) return "❗ The report channel has to be a channel of this server.";
+      }
+      return setOption(context, interaction, 'guild', key, value);
+    },
+  },
+  'config reset': {
+    admin: true,
+    run(interaction, { config }) {
+      const key = interaction.options.getString('key');
+      if (key === 'adminRoles' && !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        return NO_PERMISSION_MESSAGE;
+      }
+      const target = scopeTarget(interaction, 'guild');
+      config.unset(target.scope, target.id, key);
+      return `✅ \`${key}\` for ${target.label} now follows the inherited value.`;
+    },
+  },
+  'config reload': {
+    admin: true,
+    run(interaction, { config }) {
+      config.reload();
+      return "✅ Configuration reloaded.";
+    },
+  },
+};
+
+/**
+ * Registers the application commands, per guild when a guild ID is given (instant) or globally (up to an hour).
+ */
+async function registerCommands(client, guildId) {
+  const body = [onionCommand.toJSON(), ...messageActionCommands.map(command => command.toJSON())];
+  await client.application.commands.set(body, ...(guildId ? [guildId] : []));
+}
+
+// Message actions can take a while, so the reply is deferred and long answers are split into follow-ups
+async function handleMessageAction(interaction, context) {
+  const settings = channelSettings(context.config, interaction);
+  if (!settings.messageActions) {
+    await interaction.reply({ content: ACTIONS_DISABLED_MESSAGE, flags: MessageFlags.Ephemeral });
+    return;
+  }
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  const reply = await context.runMessageAction(MESSAGE_ACTIONS[interaction.commandName], interaction.targetMessage, {
+    userId: interaction.user.id,
+    language: languageOfUser(interaction, context.userLanguages),
+  });
+  const [first, ...rest] = splitMessage(reply || '(empty answer)');
+  await interaction.editReply(first);
+  for (const chunk of rest) await interaction.followUp({ content: chunk, flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Handles an interaction if it belongs to one of the bot commands.
+ * `context` provides the config, the limits and usage trackers, the users' languages, a getStatus() callback
+ * for the status output and runMessageAction() for the message context-menu commands.
+ */
+async function handleCommand(interaction, context) {
+  if (interaction.isMessageContextMenuCommand() && MESSAGE_ACTIONS[interaction.commandName]) {
+    await handleMessageAction(interaction, context);
+    return;
+  }
+  if (interaction.isAutocomplete() && interaction.commandName === onionCommand.name) {
+    const typed = interaction.options.getFocused().toLowerCase();
+    const keys = Object.keys(SETTINGS).filter(key => key.toLowerCase().includes(typed)).slice(0, 25);
+    await interaction.respond(keys.map(key => ({ name: key, value: key })));
+    return;
+  }
+  if (!interaction.isChatInputCommand() || interaction.commandName !== onionCommand.name) return;
+
+  const group = interaction.options.getSubcommandGroup(false);
+  const subcommand = interaction.options.getSubcommand();
+  const handler = handlers[group ? `${group} ${subcommand}` : subcommand];
+  if (!handler) return;
+
+  let content;
+  try {
+    const settings = channelSettings(context.config, interaction);
+    content = handler.admin && !isAdmin(interaction, settings)
+      ? NO_PERMISSION_MESSAGE
+      : await handler.run(interaction, context);
+  } catch (err) {
+    console.error(`Command /${onionCommand.name} ${group ?? ''} ${subcommand} failed:`, err);
+    content = `❗ ${err.message}`;
+  }
+  // Long outputs (all settings, big glossaries) continue in follow-ups instead of being cut off
+  const [first, ...rest] = splitMessage(content);
+  await interaction.reply({ content: first, flags: MessageFlags.Ephemeral });
+  for (const chunk of rest) await interaction.followUp({ content: chunk, flags: MessageFlags.Ephemeral });
+}
+
+module.exports = { registerCommands, handleCommand };
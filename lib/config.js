@@ -0,0 +1,288 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = 'data/config.json';
+
+// Every per-guild/per-channel setting with its type (or list of allowed values),
+// used both for validation and for parsing command input
+const SETTINGS = {
+  mode: ['chat', 'translate'],
+  prompt: 'string',
+  targetLanguages: 'list',
+  translationStyle: ['lines', 'embed'],
+  translationInstructions: 'string',
+  languageDetection: 'boolean',
+  provider: ['openai', 'openai-responses', 'openai-compatible', 'anthropic'],
+  model: 'string',
+  maxMessageLength: 'number',
+  loadingText: 'string',
+  errorMessage: 'string',
+  lengthWarningMessage: 'string',
+  rateLimitMessage: 'string',
+  unavailableMessage: 'string',
+  contextLengthMessage: 'string',
+  contentPolicyMessage: 'string',
+  limitReachedMessage: 'string',
+  budgetExceededMessage: 'string',
+  paused: 'boolean',
+  adminRoles: 'list',
+  triggerMode: ['always', 'mention', 'reply', 'mentionOrReply', 'prefix'],
+  triggerPrefix: 'string',
+  allowedChannels: 'list',
+  deniedChannels: 'list',
+  streaming: 'boolean',
+  maxOutputTokens: 'number',
+  reasoningEffort: ['default', 'minimal', 'low', 'medium', 'high'],
+  reasoningSummary: ['off', 'auto', 'concise', 'detailed'],
+  showReasoning: 'boolean',
+  contextBudget: 'number',
+  contextOverflow: ['trim', 'summarize'],
+  maxChainLength: 'number',
+  userRateLimit: 'number',
+  channelRateLimit: 'number',
+  guildRateLimit: 'number',
+  userDailyTokens: 'number',
+  userMonthlyTokens: 'number',
+  guildDailyTokens: 'number',
+  guildMonthlyTokens: 'number',
+  reportChannel: 'string',
+  reportSchedule: ['off', 'daily', 'weekly'],
+  budgetPeriod: ['day', 'month'],
+  guildSoftBudget: 'number',
+  guildHardBudget: 'number',
+  budgetFallbackModel: 'string',
+  readAttachments: 'boolean',
+  vision: ['auto', 'on', 'off'],
+  maxImages: 'number',
+  maxImageSize: 'number',
+  imageTypes: 'list',
+  maxTextAttachmentSize: 'number',
+  textAttachmentTypes: 'list',
+  imageTranslation: 'boolean',
+  ocrEngine: ['vision', 'command'],
+  ocrModel: 'string',
+  messageActions: 'boolean',
+  threadContext: 'boolean',
+  autoThread: ['off', 'long', 'always'],
+  contextMode: ['replies', 'history'],
+  historyMessages: 'number',
+  historyMinutes: 'number',
+  historyTokens: 'number',
+  glossaryCheck: ['off', 'flag', 'fix'],
+  translationMemory: 'boolean',
+};
+
+function builtinDefaults(env) {
+  return {
+    mode: 'chat',
+    prompt: env.GPT_PROMPT,
+    targetLanguages: ['en', 'id', 'ko'],
+    translationStyle: 'lines',
+    translationInstructions: '',
+    languageDetection: true,
+    provider: env.LLM_PROVIDER || 'openai',
+    model: env.GPT_MODEL || 'gpt-4',
+    maxMessageLength: 3000,
+    loadingText: "🧅 Translating",
+    errorMessage: "❗ OnionBot failed to translate. Please try again.",
+    lengthWarningMessage: "⚠️ The message is too long. Please keep it under {maxMessageLength} characters.",
+    rateLimitMessage: "⏳ OnionBot is getting too many requests right now. Please try again in a minute.",
+    unavailableMessage: "🔌 The translation service is temporarily unavailable. Please try again later.",
+    contextLengthMessage: "📏 This conversation is too long for the model. Please start a new message instead of replying.",
+    contentPolicyMessage: "🚫 The model declined this message because of its content policy.",
+    limitReachedMessage: "⏳ {limit} It resets in {resetIn}.",
+    budgetExceededMessage: "💸 {limit} OnionBot will answer again in {resetIn}.",
+    paused: false,
+    adminRoles: [],
+    triggerMode: 'always',
+    triggerPrefix: '!t',
+    allowedChannels: [],
+    deniedChannels: [],
+    streaming: true,
+    maxOutputTokens: 4096,
+    reasoningEffort: 'default',
+    reasoningSummary: 'off',
+    showReasoning: false,
+    contextBudget: 0,
+    contextOverflow: 'trim',
+    maxChainLength: 50,
+    // 0 turns a limit off
+    userRateLimit: 0,
+    channelRateLimit: 0,
+    guildRateLimit: 0,
+    userDailyTokens: 0,
+    userMonthlyTokens: 0,
+    guildDailyTokens: 0,
+    guildMonthlyTokens: 0,
+    reportChannel: '',
+    reportSchedule: 'off',
+    // Spending caps in USD, 0 turns them off
+    budgetPeriod: 'month',
+    guildSoftBudget: 0,
+    guildHardBudget: 0,
+    budgetFallbackModel: '',
+    // Attachment sizes are in bytes
+    readAttachments: true,
+    vision: 'auto',
+    maxImages: 4,
+    maxImageSize: 5 * 1024 * 1024,
+    imageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+    maxTextAttachmentSize: 100 * 1024,
+    textAttachmentTypes: ['text/*', 'application/json'],
+    imageTranslation: false,
+    ocrEngine: 'vision',
+    ocrModel: '',
+    messageActions: true,
+    threadContext: true,
+    autoThread: 'off',
+    contextMode: 'replies',
+    historyMessages: 20,
+    // 0 means no age or token limit besides the model's context window
+    historyMinutes: 0,
+    historyTokens: 0,
+    glossaryCheck: 'flag',
+    translationMemory: true,
+  };
+}
+
+function emptyConfig() {
+  return { defaults: {}, guilds: {}, channels: {} };
+}
+
+/**
+ * Converts a raw value (e.g. typed into a slash command) to the setting's type.
+ * Throws on unknown keys and unparsable values.
+ */
+function parseSetting(key, raw) {
+  const type = SETTINGS[key];
+  if (!type) throw new Error(`Unknown setting "${key}"`);
+  if (typeof raw === type) return raw;
+  const text = String(raw).trim();
+  if (Array.isArray(type)) {
+    if (!type.includes(text)) throw new Error(`Setting "${key}" must be one of: ${type.join(', ')}`);
+    return text;
+  }
+  switch (type) {
+    case 'number': {
+      const value = Number(text);
+      if (!Number.isFinite(value)) throw new Error(`Setting "${key}" must be a number`);
+      return value;
+    }
+    case 'boolean':
+      if (['true', 'on', 'yes', '1'].includes(text.toLowerCase())) return true;
+      if (['false', 'off', 'no', '0'].includes(text.toLowerCase())) return false;
+      throw new Error(`Setting "${key}" must be true or false`);
+    case 'list':
+      if (Array.isArray(raw)) return raw.map(String);
+      return text ? text.split(',').map(item => item.trim()).filter(Boolean) : [];
+    default:
+      return text;
+  }
+}
+
+function sanitizeScope(scope, where) {
+  const result = {};
+  for (const [key, value] of Object.entries(scope || {})) {
+    if (!SETTINGS[key]) {
+      console.warn(`Ignoring unknown setting "${key}" in ${where}`);
+      continue;
+    }
+    try {
+      result[key] = parseSetting(key, value);
+    } catch (err) {
+      console.warn(`Ignoring setting in ${where}: ${err.message}`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Layered bot settings: built-in/env defaults ← file defaults ← guild ← channel.
+ * The JSON file is re-read whenever it changes on disk, so edits apply without a restart.
+ */
+function createConfig(filePath = DEFAULT_CONFIG_PATH, env = process.env) {
+  const builtins = builtinDefaults(env);
+  let config = emptyConfig();
+
+  function reload() {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        config = emptyConfig();
+        return;
+      }
+      // Keep the previous config rather than falling back to defaults on a half-written file
+      console.error(`Failed to read config ${filePath}, keeping the previous one:`, err.message);
+      return;
+    }
+    const next = emptyConfig();
+    next.defaults = sanitizeScope(raw.defaults, 'defaults');
+    for (const scope of ['guilds', 'channels']) {
+      for (const [id, settings] of Object.entries(raw[scope] || {})) {
+        next[scope][id] = sanitizeScope(settings, `${scope}.${id}`);
+      }
+    }
+    config = next;
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(config, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  function scopeOf(scope, id) {
+    if (scope === 'defaults') return config.defaults;
+    if (!config[scope]) throw new Error(`Unknown config scope "${scope}"`);
+    return config[scope][id] || {};
+  }
+
+  reload();
+  fs.watchFile(filePath, { interval: 2000, persistent: false }, () => {
+    console.log(`Config ${filePath} changed, reloading`);
+    reload();
+  });
+
+  return {
+    reload,
+    close: () => fs.unwatchFile(filePath),
+
+    /**
+     * Effective settings for a message in the given guild and channel (either may be null for DMs).
+     * For threads `parentId` is the parent channel, whose settings apply below the thread's own.
+     */
+    resolve(guildId, channelId, parentId = null) {
+      return {
+        ...builtins,
+        ...config.defaults,
+        ...(guildId && config.guilds[guildId]),
+        ...(parentId && config.channels[parentId]),
+        ...(channelId && config.channels[channelId]),
+      };
+    },
+
+    get: (scope, id) => ({ ...scopeOf(scope, id) }),
+
+    set(scope, id, key, value) {
+      const parsed = parseSetting(key, value);
+      if (scope === 'defaults') {
+        config.defaults[key] = parsed;
+      } else {
+        config[scope][id] = { ...scopeOf(scope, id), [key]: parsed };
+      }
+      save();
+      return parsed;
+    },
+
+    unset(scope, id, key) {
+      const target = scopeOf(scope, id);
+      delete target[key];
+      if (scope !== 'defaults' && Object.keys(target).length === 0) delete config[scope][id];
+      save();
+    },
+  };
+}
+
+module.exports = { createConfig, parseSetting, SETTINGS };
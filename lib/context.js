@@ -0,0 +1,101 @@
+const { getEncoding, getEncodingNameForModel } = require('js-tiktoken');
+const { lookupByModelPrefix } = require('./models');
+
+// Context window sizes by model prefix; the longest matching prefix wins
+const CONTEXT_WINDOWS = {
+  'gpt-3.5-turbo': 16385,
+  'gpt-4': 8192,
+  'gpt-4-32k': 32768,
+  'gpt-4-turbo': 128000,
+  'gpt-4o': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-4.5': 128000,
+  'o1': 200000,
+  'o1-mini': 128000,
+  'o3': 200000,
+  'o4': 200000,
+  'claude': 200000,
+};
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Fixed cost of every chat message on top of its content (role, separators, optional name)
+const TOKENS_PER_MESSAGE = 4;
+// Rough cost of one attached image; the real figure depends on its size and the provider
+const TOKENS_PER_IMAGE = 1000;
+
+// Encodings hold large rank tables, so each one is loaded once and shared between models
+const encodings = new Map();
+const modelEncodings = new Map();
+
+function loadEncoding(name) {
+  if (!encodings.has(name)) encodings.set(name, getEncoding(name));
+  return encodings.get(name);
+}
+
+function encodingFor(model) {
+  if (!modelEncodings.has(model)) {
+    let name;
+    try {
+      name = getEncodingNameForModel(model);
+    } catch {
+      // Unknown or non-OpenAI model: the newest OpenAI encoding is a close enough estimate
+      name = 'o200k_base';
+    }
+    modelEncodings.set(model, loadEncoding(name));
+  }
+  return modelEncodings.get(model);
+}
+
+function countTokens(text, model) {
+  return encodingFor(model).encode(text ?? '', 'all').length;
+}
+
+function messageTokens(message, model) {
+  return TOKENS_PER_MESSAGE + countTokens(message.content, model) + (message.name ? 1 : 0)
+    + (message.images?.length ?? 0) * TOKENS_PER_IMAGE;
+}
+
+function contextWindowOf(model) {
+  return lookupByModelPrefix(CONTEXT_WINDOWS, model) ?? DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Prompt token budget for the settings: `contextBudget` if set, otherwise whatever the model window
+ * leaves after reserving `maxOutputTokens` for the answer.
+ */
+function contextBudgetOf(settings) {
+  const available = contextWindowOf(settings.model) - settings.maxOutputTokens;
+  return settings.contextBudget > 0 ? Math.min(settings.contextBudget, available) : available;
+}
+
+/**
+ * Drops the oldest turns (ordered oldest first) until the dialog fits into `budget` tokens.
+ * The system prompt and the latest turn are always kept as they are, even if they alone exceed the budget.
+ *
+ * With a `summarize(droppedTurns)` callback the dropped turns are replaced by a summary message
+ * (`summaryTokens` is reserved for it); without one they are simply cut off.
+ */
+async function fitDialog(turns, { model, system, budget, summarize, summaryTokens = 0 }) {
+  const fixed = messageTokens({ content: system }, model) + (summarize ? summaryTokens : 0);
+  let used = fixed + messageTokens(turns[turns.length - 1], model);
+
+  let start = turns.length - 1;
+  while (start > 0) {
+    const cost = messageTokens(turns[start - 1], model);
+    if (used + cost > budget) break;
+    used += cost;
+    start--;
+  }
+
+  const dropped = turns.slice(0, start);
+  const kept = turns.slice(start);
+  if (dropped.length === 0 || !summarize) return { turns: kept, dropped: dropped.length };
+
+  const summary = await summarize(dropped);
+  return {
+    turns: [{ role: 'user', content: `Summary of the earlier conversation:\n${summary}` }, ...kept],
+    dropped: dropped.length,
+  };
+}
+
+module.exports = { countTokens, contextWindowOf, contextBudgetOf, fitDialog };
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_GLOSSARY_PATH = 'data/glossary.json';
+
+function emptyGlossary() {
+  return { terms: {}, keep: [] };
+}
+
+function sanitizeGlossary(raw, where) {
+  const glossary = emptyGlossary();
+  for (const [term, translations] of Object.entries(raw?.terms ?? {})) {
+    if (!translations || typeof translations !== 'object') {
+      console.warn(`Ignoring glossary term "${term}" in ${where}: expected { "<language>": "<translation>" }`);
+      continue;
+    }
+    glossary.terms[term] = Object.fromEntries(Object.entries(translations).map(([code, text]) => [code.toLowerCase(), String(text)]));
+  }
+  glossary.keep = (Array.isArray(raw?.keep) ? raw.keep : []).map(String).filter(Boolean);
+  return glossary;
+}
+
+// Latin-script terms have to appear as whole words, others (e.g. Korean, Japanese) anywhere in the text
+function containsTerm(text, term) {
+  if (!/^[\p{Script=Latin}\p{N}\s\-_.']+$/u.test(term)) return text.toLowerCase().includes(term.toLowerCase());
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+/**
+ * The part of a guild glossary that applies to a text: preferred translations and do-not-translate terms it contains.
+ */
+function relevantEntries(glossary, text) {
+  return {
+    terms: Object.entries(glossary.terms).filter(([term]) => containsTerm(text, term)),
+    keep: glossary.keep.filter(term => containsTerm(text, term)),
+  };
+}
+
+/**
+ * Prompt lines telling the model how to handle the glossary terms found in `text`, or '' if none occur.
+ * With `languages` only translations into those languages are listed.
+ */
+function glossaryPrompt(glossary, text, languages = null) {
+  const { terms, keep } = relevantEntries(glossary, text);
+  const lines = [];
+  if (keep.length) lines.push(`Never translate or transliterate these terms, keep them exactly as written: ${keep.join(', ')}.`);
+  for (const [term, translations] of terms) {
+    const entries = Object.entries(translations).filter(([code]) => !languages || languages.includes(code));
+    if (entries.length) lines.push(`Translate "${term}" as ${entries.map(([code, translation]) => `"${translation}" (${code})`).join(', ')}.`);
+  }
+  return lines.length ? `Glossary:\n${lines.join('\n')}` : '';
+}
+
+/**
+ * Post-check of a translation result: lists the glossary rules the translations break
+ * as `{ language, term, expected }`, where `expected` is the text that should appear in the translation.
+ */
+function glossaryViolations(glossary, sourceText, translations) {
+  const { terms, keep } = relevantEntries(glossary, sourceText);
+  const violations = [];
+  for (const [language, translation] of Object.entries(translations)) {
+    if (!translation) continue;
+    for (const term of keep) {
+      if (!translation.toLowerCase().includes(term.toLowerCase())) violations.push({ language, term, expected: term });
+    }
+    for (const [term, preferred] of terms) {
+      const expected = preferred[language];
+      if (expected && !translation.toLowerCase().includes(expected.toLowerCase())) violations.push({ language, term, expected });
+    }
+  }
+  return violations;
+}
+
+/**
+ * Per-guild glossaries (preferred translations per language and do-not-translate terms) stored in a JSON file:
+ * `{ "<guild id>": { "terms": { "<term>": { "<language>": "<translation>" } }, "keep": ["<term>"] } }`.
+ * Like the config, the file is reloaded when it changes and rewritten by the glossary commands.
+ */
+function createGlossary(filePath = DEFAULT_GLOSSARY_PATH) {
+  let glossaries = {};
+
+  function reload() {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        glossaries = {};
+        return;
+      }
+      console.error(`Failed to read glossary ${filePath}, keeping the previous one:`, err.message);
+      return;
+    }
+    glossaries = Object.fromEntries(Object.entries(raw).map(([guildId, glossary]) => [guildId, sanitizeGlossary(glossary, `glossary of ${guildId}`)]));
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(glossaries, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  function update(guildId, change) {
+    const glossary = glossaries[guildId] ?? emptyGlossary();
+    change(glossary);
+    glossaries[guildId] = glossary;
+    save();
+  }
+
+  reload();
+  fs.watchFile(filePath, { interval: 2000, persistent: false }, () => {
+    console.log(`Glossary ${filePath} changed, reloading`);
+    reload();
+  });
+
+  return {
+    reload,
+    close: () => fs.unwatchFile(filePath),
+
+    get: guildId => glossaries[guildId] ?? emptyGlossary(),
+
+    setTranslation(guildId, term, language, translation) {
+      update(guildId, glossary => {
+        glossary.terms[term] = { ...glossary.terms[term], [language.toLowerCase()]: translation };
+      });
+    },
+
+    keep(guildId, term) {
+      update(guildId, glossary => {
+        if (!glossary.keep.includes(term)) glossary.keep.push(term);
+      });
+    },
+
+    // Removes a term from both lists; returns false if it was in neither
+    remove(guildId, term) {
+      const glossary = glossaries[guildId];
+      if (!glossary || (!glossary.terms[term] && !glossary.keep.includes(term))) return false;
+      update(guildId, current => {
+        delete current.terms[term];
+        current.keep = current.keep.filter(kept => kept !== term);
+      });
+      return true;
+    },
+  };
+}
+
+module.exports = { createGlossary, glossaryPrompt, glossaryViolations };
@@ -0,0 +1,68 @@
+// Offline language guessing: writing system first, then common function words for Latin-script languages.
+// It only has to be good enough to skip obviously unneeded translations, so it prefers "unknown" over guessing.
+
+// Scripts that identify a language on their own (checked in order; kana wins over shared Han characters)
+const SCRIPTS = [
+  { language: 'ko', pattern: /[ᄀ-ᇿ㄰-㆏가-힯]/gu },
+  { language: 'ja', pattern: /[぀-ヿ]/gu },
+  { language: 'zh', pattern: /\p{Script=Han}/gu },
+  { language: 'th', pattern: /\p{Script=Thai}/gu },
+  { language: 'ar', pattern: /\p{Script=Arabic}/gu },
+  { language: 'hi', pattern: /\p{Script=Devanagari}/gu },
+];
+
+const STOPWORDS = {
+  en: 'the and is are was were you your this that what with for have not but they it of to in on my me be do',
+  id: 'yang dan di ini itu tidak ada dengan untuk saya kamu aku apa sudah bisa akan ke dari juga kita mau belum',
+  es: 'el la los las que de y en es por para con una un no lo se del como pero más mi tu está',
+  pt: 'o a os as que de e em é um uma não com para por do da se mas você está isso muito',
+  fr: 'le la les des et est un une que qui pas pour dans ce il elle je vous nous sur avec mais',
+  de: 'der die das und ist nicht ein eine ich du sie wir mit auf für den dem zu es auch aber',
+  it: 'il lo la gli le che di e è un una non per con del della sono ma mi ti questo',
+  nl: 'de het een en is van dat niet ik je zijn met op voor maar ook wat er',
+  pl: 'i w nie na się że to jest z do jak ale co tak po czy jestem mnie',
+  tr: 've bir bu da de ne için çok ama ben sen mi değil var yok gibi daha',
+  vi: 'và là của có không được cho những một các với này trong người tôi bạn',
+  tl: 'ang ng mga sa na ako ikaw siya hindi ay at ito yung po naman lang',
+};
+
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.split(' '))]));
+
+// Share of letters that must belong to a script for it to decide the language
+const SCRIPT_SHARE = 0.3;
+// Latin-script guesses need this many function-word hits and a clear lead over the runner-up
+const MIN_STOPWORD_HITS = 2;
+
+function stripNoise(text) {
+  return text
+    .replace(/```[\s\S]*?```|`[^`]*`/g, ' ')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/<(?:@[!&]?|#|a?:\w+:)\d+>/g, ' ');
+}
+
+/**
+ * Guesses the language of a message. Returns an ISO 639-1 code, or null when unsure.
+ */
+function detectLanguage(text) {
+  const cleaned = stripNoise(text);
+  const letters = cleaned.match(/\p{L}/gu)?.length ?? 0;
+  if (letters === 0) return null;
+
+  for (const { language, pattern } of SCRIPTS) {
+    const count = cleaned.match(pattern)?.length ?? 0;
+    if (count / letters >= SCRIPT_SHARE) return language;
+  }
+
+  const cyrillic = cleaned.match(/\p{Script=Cyrillic}/gu)?.length ?? 0;
+  if (cyrillic / letters >= SCRIPT_SHARE) return /[іїєґ]/iu.test(cleaned) ? 'uk' : 'ru';
+
+  const words = cleaned.toLowerCase().match(/\p{L}+/gu) ?? [];
+  const scores = Object.entries(STOPWORD_SETS)
+    .map(([language, set]) => [language, words.filter(word => set.has(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[best, hits], [, runnerUp]] = scores;
+  if (hits < MIN_STOPWORD_HITS || hits < runnerUp * 1.5) return null;
+  return best;
+}
+
+module.exports = { detectLanguage };
@@ -0,0 +1,193 @@
+const { LRUCache } = require('lru-cache');
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+
+const RATE_WINDOW_SECONDS = 60;
+// Token counters outlive the longest quota period by a few days
+const USAGE_TTL_MS = 1000 * 60 * 60 * 24 * 35;
+
+// Message rate limits (messages per minute), checked from the narrowest scope outwards
+const RATE_LIMITS = [
+  { scope: 'user', setting: 'userRateLimit' },
+  { scope: 'channel', setting: 'channelRateLimit' },
+  { scope: 'guild', setting: 'guildRateLimit' },
+];
+
+// Token quotas per UTC day and calendar month
+const QUOTAS = [
+  { scope: 'user', period: 'day', setting: 'userDailyTokens' },
+  { scope: 'user', period: 'month', setting: 'userMonthlyTokens' },
+  { scope: 'guild', period: 'day', setting: 'guildDailyTokens' },
+  { scope: 'guild', period: 'month', setting: 'guildMonthlyTokens' },
+];
+
+const SUBJECTS = { user: 'You have', channel: 'This channel has', guild: 'This server has', global: 'OnionBot has' };
+
+function periodKey(period, now) {
+  const iso = new Date(now).toISOString();
+  return period === 'day' ? iso.substring(0, 10) : iso.substring(0, 7);
+}
+
+function periodEnd(period, now) {
+  const date = new Date(now);
+  return period === 'day'
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+function formatResetIn(ms) {
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function describeLimit(block) {
+  const period = block.period === 'day' ? 'daily' : 'monthly';
+  switch (block.kind) {
+    case 'rate':
+      return `${SUBJECTS[block.scope]} reached the limit of ${block.limit} messages per minute.`;
+    case 'quota':
+      return `${SUBJECTS[block.scope]} used up the ${period} quota of ${block.limit} tokens.`;
+    default:
+      return `${SUBJECTS[block.scope]} reached the ${period} spending cap of $${block.limit}.`;
+  }
+}
+
+/**
+ * Fills the `limitReachedMessage` (or, for spending caps, `budgetExceededMessage`) template
+ * for a block returned by `check()` or `checkBudget()`.
+ */
+function limitNotice(block, settings) {
+  const template = block.kind === 'budget' ? settings.budgetExceededMessage : settings.limitReachedMessage;
+  return template
+    .replaceAll('{limit}', describeLimit(block))
+    .replaceAll('{resetIn}', formatResetIn(block.resetInMs));
+}
+
+/**
+ * Layered message rate limits (per user, channel and guild), token quotas (per user and guild)
+ * and spending caps (per guild and over all guilds, based on the costs `usage` records).
+ * Rate limits live in memory; token counters are kept in the store so quotas survive restarts.
+ */
+function createLimits(store, { usage, env = process.env }) {
+  // Caps over all guilds come from the environment so that server admins can't raise them
+  const globalBudget = {
+    period: env.GLOBAL_BUDGET_PERIOD === 'day' ? 'day' : 'month',
+    soft: Number(env.GLOBAL_SOFT_BUDGET) || 0,
+    hard: Number(env.GLOBAL_HARD_BUDGET) || 0,
+  };
+  const tokenUsage = store.map('tokenUsage', { max: 100000, ttl: USAGE_TTL_MS });
+  // One limiter per scope and limit, so changing a limit starts from a clean window
+  const limiters = new Map();
+  // Blocks a notice was already sent for, so a user hammering the bot gets one notice per window
+  const notified = new LRUCache({ max: 10000, ttl: RATE_WINDOW_SECONDS * 1000 });
+
+  function limiterOf(scope, points) {
+    const key = `${scope}:${points}`;
+    if (!limiters.has(key)) {
+      limiters.set(key, new RateLimiterMemory({ keyPrefix: key, points, duration: RATE_WINDOW_SECONDS }));
+    }
+    return limiters.get(key);
+  }
+
+  function usageKey(scope, id, period, now) {
+    return `${scope}:${id}:${periodKey(period, now)}`;
+  }
+
+  // Rate limits that apply to this requester, with the ID they count against
+  function activeRateLimits(requester, settings) {
+    return RATE_LIMITS
+      .map(({ scope, setting }) => ({ scope, id: requester[`${scope}Id`], limit: settings[setting] }))
+      .filter(({ id, limit }) => id && limit > 0);
+  }
+
+  function blocked(block, requester) {
+    const key = `${block.kind}:${block.scope}:${block.period ?? ''}:${requester.userId}`;
+    const notify = !notified.has(key);
+    if (notify) notified.set(key, true, { ttl: Math.max(1000, block.resetInMs) });
+    return { ...block, notify };
+  }
+
+  return {
+    /**
+     * Returns null and counts the message when it may be answered, otherwise the first limit it hit:
+     * `{ kind: 'rate'|'quota', scope, limit, period?, resetInMs, notify }`.
+     * `notify` is false when this requester was already told about the same limit.
+     */
+    async check(requester, settings) {
+      const now = Date.now();
+      for (const { scope, period, setting } of QUOTAS) {
+        const id = requester[`${scope}Id`];
+        const limit = settings[setting];
+        if (!id || !(limit > 0)) continue;
+        if ((tokenUsage.get(usageKey(scope, id, period, now)) ?? 0) >= limit) {
+          return blocked({ kind: 'quota', scope, period, limit, resetInMs: periodEnd(period, now) - now }, requester);
+        }
+      }
+
+      // Consume layer by layer: messages from other channels are checked concurrently, so looking first and
+      // consuming later could let several through. A refused message gives its points back on every layer.
+      const consumed = [];
+      for (const { scope, id, limit } of activeRateLimits(requester, settings)) {
+        const limiter = limiterOf(scope, limit);
+        try {
+          await limiter.consume(id);
+          consumed.push({ limiter, id });
+        } catch (res) {
+          if (res instanceof Error) throw res;
+          for (const layer of [...consumed, { limiter, id }]) await layer.limiter.reward(layer.id);
+          return blocked({ kind: 'rate', scope, limit, resetInMs: res.msBeforeNext }, requester);
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Compares the spending of the requester's guild and of all guilds with the caps. Returns null while under them,
+     * `{ kind: 'budget', action: 'downgrade', ... }` past a soft cap (answer with `budgetFallbackModel`), or
+     * `{ kind: 'budget', action: 'stop', ..., resetInMs, notify }` past a hard cap.
+     */
+    checkBudget(requester, settings) {
+      const now = Date.now();
+      const caps = [{ scope: 'global', id: null, ...globalBudget }];
+      if (requester.guildId) {
+        caps.unshift({ scope: 'guild', id: requester.guildId, period: settings.budgetPeriod, soft: settings.guildSoftBudget, hard: settings.guildHardBudget });
+      }
+      let downgrade = null;
+      for (const { scope, id, period, soft, hard } of caps) {
+        const spent = usage.spent(period, id);
+        if (hard > 0 && spent >= hard) {
+          return blocked({ kind: 'budget', action: 'stop', scope, period, limit: hard, resetInMs: periodEnd(period, now) - now }, requester);
+        }
+        if (!downgrade && soft > 0 && spent >= soft) downgrade = { kind: 'budget', action: 'downgrade', scope, period, limit: soft };
+      }
+      return downgrade;
+    },
+
+    // Adds the tokens of a completed request to the user's and guild's daily and monthly counters
+    recordTokens(requester, tokens) {
+      if (!(tokens > 0)) return;
+      const now = Date.now();
+      for (const { scope, period } of QUOTAS) {
+        const id = requester[`${scope}Id`];
+        if (!id) continue;
+        const key = usageKey(scope, id, period, now);
+        tokenUsage.set(key, (tokenUsage.get(key) ?? 0) + tokens);
+      }
+    },
+
+    // Tokens used by a user or guild in the current day and month
+    usageOf(scope, id) {
+      const now = Date.now();
+      return {
+        day: tokenUsage.get(usageKey(scope, id, 'day', now)) ?? 0,
+        month: tokenUsage.get(usageKey(scope, id, 'month', now)) ?? 0,
+      };
+    },
+  };
+}
+
+module.exports = { createLimits, limitNotice };
@@ -0,0 +1,58 @@
+// Discord markup the model can't read: user, role and channel mentions and custom emoji
+const USER_MENTION = /<@!?(\d+)>/g;
+const ROLE_MENTION = /<@&(\d+)>/g;
+const CHANNEL_MENTION = /<#(\d+)>/g;
+const CUSTOM_EMOJI = /<a?:(\w+):\d+>/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function userNameOf(message, id) {
+  const member = message.mentions?.members?.get(id) ?? message.guild?.members.cache.get(id);
+  const user = message.mentions?.users?.get(id) ?? member?.user;
+  return member?.displayName ?? user?.globalName ?? user?.username;
+}
+
+function roleNameOf(message, id) {
+  return (message.mentions?.roles?.get(id) ?? message.guild?.roles.cache.get(id))?.name;
+}
+
+function channelNameOf(message, id) {
+  return (message.mentions?.channels?.get(id) ?? message.guild?.channels.cache.get(id))?.name;
+}
+
+/**
+ * Replaces mentions and custom emoji with readable placeholders (`@name`, `@role`, `#channel`, `:emoji:`).
+ * Returns the text and `mentions`, a map from each placeholder back to the original markup.
+ * Mentions that can't be resolved to a name are left as they are.
+ */
+function normalizeMentions(text, message) {
+  const mentions = {};
+  function placeholder(name, prefix, raw) {
+    if (!name) return raw;
+    // The first markup wins when two users share a name
+    if (!(`${prefix}${name}` in mentions)) mentions[`${prefix}${name}`] = raw;
+    return `${prefix}${name}`;
+  }
+
+  const normalized = text
+    .replace(USER_MENTION, (raw, id) => placeholder(userNameOf(message, id), '@', `<@${id}>`))
+    .replace(ROLE_MENTION, (raw, id) => placeholder(roleNameOf(message, id), '@', raw))
+    .replace(CHANNEL_MENTION, (raw, id) => placeholder(channelNameOf(message, id), '#', raw))
+    .replace(CUSTOM_EMOJI, (raw, name) => placeholder(`${name}:`, ':', raw));
+  return { text: normalized, mentions };
+}
+
+/**
+ * Turns the placeholders of `normalizeMentions` in the model's output back into Discord markup.
+ */
+function restoreMentions(text, mentions) {
+  const placeholders = Object.keys(mentions ?? {}).sort((a, b) => b.length - a.length);
+  if (!text || placeholders.length === 0) return text;
+  // Longest first, and only whole placeholders: "@Ann" must not match inside "@Anna" or a URL fragment
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_/])(?:${placeholders.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}_])`, 'gu');
+  return text.replace(pattern, match => mentions[match]);
+}
+
+module.exports = { normalizeMentions, restoreMentions };
@@ -0,0 +1,24 @@
+/**
+ * The longest of `prefixes` that names `model` or a version of it (`gpt-4o` matches `gpt-4o` and `gpt-4o-2024-08-06`,
+ * not `gpt-4o-mini` if that is listed too), or null. Case-insensitive.
+ */
+function modelPrefixOf(prefixes, model) {
+  const lowered = model.toLowerCase();
+  let best = null;
+  for (const prefix of prefixes) {
+    const matches = lowered === prefix || lowered.startsWith(prefix + '-');
+    if (matches && (!best || prefix.length > best.length)) best = prefix;
+  }
+  return best;
+}
+
+/**
+ * Looks a model up in a table keyed by model prefix (context windows, prices, vision support);
+ * undefined when no prefix matches.
+ */
+function lookupByModelPrefix(table, model) {
+  const prefix = modelPrefixOf(Object.keys(table), model);
+  return prefix === null ? undefined : table[prefix];
+}
+
+module.exports = { modelPrefixOf, lookupByModelPrefix };
@@ -0,0 +1,71 @@
+const { spawn } = require('child_process');
+const { visionEnabled } = require('./attachments');
+
+const OCR_PROMPT = "Transcribe all text visible in the images exactly as written, keeping the line breaks. "
+  + "Do not translate, describe or comment on anything. Reply with the text only, or with nothing if there is no text.";
+const COMMAND_TIMEOUT_MS = 30000;
+const DOWNLOAD_TIMEOUT_MS = 15000;
+
+// Runs a program with the input on stdin and resolves to its stdout
+function runCommand(command, input) {
+  const [file, ...args] = command.split(/\s+/).filter(Boolean);
+  return new Promise((resolve, reject) => {
+    const child = spawn(file, args, { timeout: COMMAND_TIMEOUT_MS });
+    const output = [];
+    let errors = '';
+    child.stdout.on('data', chunk => output.push(chunk));
+    child.stderr.on('data', chunk => { errors += chunk; });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) resolve(Buffer.concat(output).toString('utf8'));
+      else reject(new Error(`${file} exited with ${code}: ${errors.trim()}`));
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+async function download(url) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+/**
+ * Reads the text shown in images with the engine picked by the `ocrEngine` setting:
+ * `vision` asks a vision model (`ocrModel`, or the channel's model) through `complete(settings, request, requester)`,
+ * `command` pipes every image into a local OCR program set in `OCR_COMMAND` (e.g. `tesseract stdin stdout`).
+ */
+function createOcr({ complete, env = process.env }) {
+  const engines = {
+    async vision(images, settings, requester) {
+      const model = settings.ocrModel || settings.model;
+      if (!visionEnabled({ ...settings, model })) throw new Error(`Model ${model} can't read images; set ocrModel or vision`);
+      const { text } = await complete({ ...settings, model }, {
+        model,
+        system: OCR_PROMPT,
+        turns: [{ role: 'user', content: 'Transcribe the text in these images.', images }],
+        maxOutputTokens: settings.maxOutputTokens,
+      }, requester);
+      return text;
+    },
+
+    async command(images) {
+      if (!env.OCR_COMMAND) throw new Error('OCR_COMMAND is not set');
+      const texts = [];
+      for (const image of images) texts.push(await runCommand(env.OCR_COMMAND, await download(image.url)));
+      return texts.join('\n\n');
+    },
+  };
+
+  return {
+    // Text found in the images, trimmed; empty when there is none
+    async extract(images, settings, requester) {
+      const engine = engines[settings.ocrEngine];
+      if (!engine) throw new Error(`Unknown OCR engine "${settings.ocrEngine}"`);
+      return (await engine(images, settings, requester)).trim();
+    },
+  };
+}
+
+module.exports = { createOcr };
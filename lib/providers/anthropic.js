@@ -0,0 +1,68 @@
+/**
+ * Anthropic Messages API adapter. The dialog must start with a user turn and alternate roles,
+ * so consecutive turns of the same role are merged and participant names are folded into the text.
+ */
+function createAnthropicProvider({ client }) {
+  function toMessages(turns) {
+    const messages = [];
+    for (const { role, content, name, images } of turns) {
+      const text = name && role === 'user' ? `${name}: ${content}` : content;
+      // Empty text blocks are rejected, e.g. for a post that is only an image
+      const blocks = [
+        ...(text ? [{ type: 'text', text }] : []),
+        ...(images ?? []).map(image => ({ type: 'image', source: { type: 'url', url: image.url } })),
+      ];
+      if (blocks.length === 0) continue;
+      const last = messages[messages.length - 1];
+      if (last?.role === role) {
+        last.content.push(...blocks);
+      } else {
+        messages.push({ role, content: blocks });
+      }
+    }
+    if (messages[0]?.role === 'assistant') messages.unshift({ role: 'user', content: '(conversation continues)' });
+    return messages;
+  }
+
+  return {
+    name: 'anthropic',
+
+    async complete(request) {
+      // No structured outputs here, so the schema is spelled out in the system prompt
+      const system = request.responseSchema
+        ? `${request.system}\n\nAnswer with JSON only, matching this JSON schema:\n${JSON.stringify(request.responseSchema.schema)}`
+        : request.system;
+      const body = {
+        model: request.model,
+        system,
+        messages: toMessages(request.turns),
+        max_tokens: request.maxOutputTokens,
+      };
+
+      if (request.onPartial) {
+        const stream = await client.messages.create({ ...body, stream: true });
+        let text = '';
+        const usage = { promptTokens: 0, completionTokens: 0, reasoningTokens: 0 };
+        for await (const event of stream) {
+          if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+            text += event.delta.text;
+            request.onPartial(text);
+          } else if (event.type === 'message_start') {
+            usage.promptTokens = event.message.usage?.input_tokens ?? 0;
+          } else if (event.type === 'message_delta') {
+            usage.completionTokens = event.usage?.output_tokens ?? usage.completionTokens;
+          }
+        }
+        return { text, usage };
+      }
+
+      const res = await client.messages.create(body);
+      return {
+        text: res.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        usage: { promptTokens: res.usage.input_tokens, completionTokens: res.usage.output_tokens, reasoningTokens: 0 },
+      };
+    },
+  };
+}
+
+module.exports = { createAnthropicProvider };
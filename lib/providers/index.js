@@ -0,0 +1,75 @@
+const { OpenAI } = require('openai');
+const Anthropic = require('@anthropic-ai/sdk');
+const { createOpenAIChatProvider } = require('./openai-chat');
+const { createOpenAIResponsesProvider, isResponsesOnlyModel } = require('./openai-responses');
+const { createAnthropicProvider } = require('./anthropic');
+
+// Without a timeout the SDKs wait up to 10 minutes for a hung request, holding up the channel's queue
+const DEFAULT_REQUEST_TIMEOUT_SECONDS = 120;
+
+/**
+ * Creates the LLM backends on first use, so only the configured ones need credentials.
+ *
+ * Every provider exposes `complete({ model, system, turns, maxOutputTokens, reasoningEffort, reasoningSummary,
+ * responseSchema, onPartial })` resolving to `{ text, reasoning, usage }`, where `turns` are
+ * `{ role: 'user' | 'assistant', content, name, images }` ordered oldest first; `images` (`[{ url, name, mimeType }]`,
+ * user turns only) is optional and only given for models that accept images.
+ * With `onPartial` the answer is streamed and the callback receives the accumulated text.
+ * With `responseSchema` (`{ name, schema }`) the answer is a JSON document following the schema.
+ * `usage` is `{ promptTokens, completionTokens, reasoningTokens }`, or null if the backend did not report it.
+ */
+function createProviders(env = process.env) {
+  let openaiClient;
+  const timeout = (Number(env.REQUEST_TIMEOUT_SECONDS) || DEFAULT_REQUEST_TIMEOUT_SECONDS) * 1000;
+  // SDK retries are off: retries and backoff are handled by the resilience layer around providers
+  const openai = () => (openaiClient ??= new OpenAI({ apiKey: env.OPENAI_API_KEY, maxRetries: 0, timeout }));
+
+  const factories = {
+    'openai': () => createOpenAIChatProvider({ client: openai() }),
+    'openai-responses': () => createOpenAIResponsesProvider({ client: openai() }),
+    'openai-compatible': () => {
+      if (!env.OPENAI_COMPATIBLE_BASE_URL) throw new Error('OPENAI_COMPATIBLE_BASE_URL is not set');
+      const client = new OpenAI({
+        baseURL: env.OPENAI_COMPATIBLE_BASE_URL,
+        // Local servers usually ignore the key, but the client refuses to start without one
+        apiKey: env.OPENAI_COMPATIBLE_API_KEY || 'not-needed',
+        maxRetries: 0,
+        timeout,
+      });
+      return createOpenAIChatProvider({ client, compatible: true });
+    },
+    'anthropic': () => createAnthropicProvider({ client: new Anthropic({ apiKey: env.ANTHROPIC_API_KEY, maxRetries: 0, timeout }) }),
+  };
+  const instances = new Map();
+  // Models the Chat Completions API turned away as Responses-only, in addition to the known list
+  const responsesOnlyModels = new Set();
+
+  function get(name) {
+    if (!factories[name]) throw new Error(`Unknown provider "${name}"`);
+    if (!instances.has(name)) instances.set(name, factories[name]());
+    return instances.get(name);
+  }
+
+  return {
+    /**
+     * Runs a request on the named provider. Requests for OpenAI models without Chat Completions support
+     * are sent to the Responses API instead.
+     */
+    async complete(name, request) {
+      if (name !== 'openai') return get(name).complete(request);
+      if (isResponsesOnlyModel(request.model) || responsesOnlyModels.has(request.model)) {
+        return get('openai-responses').complete(request);
+      }
+      try {
+        return await get('openai').complete(request);
+      } catch (err) {
+        if (err?.status !== 404 || !/v1\/responses/.test(err.message ?? '')) throw err;
+        console.warn(`${request.model} is only available in the Responses API, switching`);
+        responsesOnlyModels.add(request.model);
+        return get('openai-responses').complete(request);
+      }
+    },
+  };
+}
+
+module.exports = { createProviders };
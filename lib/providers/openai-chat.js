@@ -0,0 +1,110 @@
+const { modelPrefixOf } = require('../models');
+
+// Reasoning models renamed the system role to "developer"; the oldest ones accept neither
+const NO_SYSTEM_ROLE_MODELS = ['o1-mini', 'o1-preview'];
+const DEVELOPER_ROLE_MODELS = ['o1', 'o3', 'o4'];
+
+function systemRoleFor(model) {
+  if (modelPrefixOf(NO_SYSTEM_ROLE_MODELS, model)) return 'user';
+  if (modelPrefixOf(DEVELOPER_ROLE_MODELS, model)) return 'developer';
+  return 'system';
+}
+
+// The API only accepts [a-zA-Z0-9_-]{1,64} as a participant name
+function sanitizeName(name) {
+  const cleaned = String(name ?? '').replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 64);
+  return /[a-zA-Z0-9]/.test(cleaned) ? cleaned : undefined;
+}
+
+function isStreamingUnsupported(err) {
+  return err?.status === 400 && (err.param === 'stream' || /\bstream/i.test(err.message ?? ''));
+}
+
+function usageOf(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens ?? 0,
+    completionTokens: usage.completion_tokens ?? 0,
+    reasoningTokens: usage.completion_tokens_details?.reasoning_tokens ?? 0,
+  };
+}
+
+function isResponseFormatUnsupported(err) {
+  return err?.status === 400 && (err.param === 'response_format' || /response_format/.test(err.message ?? ''));
+}
+
+/**
+ * Chat Completions adapter. With `compatible` set it targets OpenAI-compatible servers (Ollama, llama.cpp, vLLM):
+ * plain "system" role, names folded into the text and the older `max_tokens` parameter.
+ */
+function createOpenAIChatProvider({ client, compatible = false }) {
+  // Models the API refused to stream for (e.g. unverified organizations); they go straight to the blocking call
+  const noStreamingModels = new Set();
+  // Models without structured outputs; for them the JSON shape is only requested in the prompt
+  const noSchemaModels = new Set();
+
+  function toMessages({ model, system, turns }) {
+    const messages = turns.map(({ role, content, name, images }) => {
+      const text = compatible && name && role === 'user' ? `${name}: ${content}` : content;
+      const parts = images?.length
+        ? [{ type: 'text', text }, ...images.map(image => ({ type: 'image_url', image_url: { url: image.url } }))]
+        : text;
+      if (compatible) return { role, content: parts };
+      const safeName = sanitizeName(name);
+      return safeName ? { role, content: parts, name: safeName } : { role, content: parts };
+    });
+    messages.push({ role: compatible ? 'system' : systemRoleFor(model), content: system });
+    return messages;
+  }
+
+  return {
+    name: compatible ? 'openai-compatible' : 'openai',
+
+    async complete(request) {
+      const body = { model: request.model, messages: toMessages(request), n: 1 };
+      body[compatible ? 'max_tokens' : 'max_completion_tokens'] = request.maxOutputTokens;
+      if (request.reasoningEffort && request.reasoningEffort !== 'default') body.reasoning_effort = request.reasoningEffort;
+      if (request.responseSchema && !noSchemaModels.has(request.model)) {
+        body.response_format = { type: 'json_schema', json_schema: { ...request.responseSchema, strict: true } };
+      }
+
+      if (request.onPartial && !noStreamingModels.has(request.model)) {
+        try {
+          // Compatible servers differ in stream_options support, so usage is only requested from OpenAI itself
+          const streamBody = compatible
+            ? { ...body, stream: true }
+            : { ...body, stream: true, stream_options: { include_usage: true } };
+          const stream = await client.chat.completions.create(streamBody);
+          let text = '';
+          let usage = null;
+          for await (const chunk of stream) {
+            if (chunk.usage) usage = usageOf(chunk.usage);
+            const delta = chunk.choices[0]?.delta?.content;
+            if (!delta) continue;
+            text += delta;
+            request.onPartial(text);
+          }
+          return { text, usage };
+        } catch (err) {
+          if (!isStreamingUnsupported(err)) throw err;
+          console.warn(`Streaming is not available for ${request.model}, falling back to a single response`);
+          noStreamingModels.add(request.model);
+        }
+      }
+
+      let res;
+      try {
+        res = await client.chat.completions.create(body);
+      } catch (err) {
+        if (!body.response_format || !isResponseFormatUnsupported(err)) throw err;
+        console.warn(`Structured outputs are not available for ${request.model}, relying on the prompt`);
+        noSchemaModels.add(request.model);
+        delete body.response_format;
+        res = await client.chat.completions.create(body);
+      }
+      return { text: res.choices[0].message.content, usage: usageOf(res.usage) };
+    },
+  };
+}
+
+module.exports = { createOpenAIChatProvider, isStreamingUnsupported };
@@ -0,0 +1,116 @@
+const { modelPrefixOf } = require('../models');
+const { isStreamingUnsupported } = require('./openai-chat');
+
+// Models that are only served by the Responses API
+const RESPONSES_ONLY_MODELS = ['o1-pro', 'o3-pro', 'o3-deep-research', 'o4-mini-deep-research', 'codex-mini'];
+
+function isResponsesOnlyModel(model) {
+  return modelPrefixOf(RESPONSES_ONLY_MODELS, model) !== null;
+}
+
+// Maps dialog turns to input items; the API has no participant names, so they are folded into the text
+function toInputItems(turns) {
+  return turns.map(({ role, content, name, images }) => ({
+    type: 'message',
+    role,
+    content: role === 'assistant'
+      ? [{ type: 'output_text', text: content }]
+      : [
+        { type: 'input_text', text: name ? `${name}: ${content}` : content },
+        ...(images ?? []).map(image => ({ type: 'input_image', image_url: image.url })),
+      ],
+  }));
+}
+
+function reasoningSummaryOf(output) {
+  return (output ?? [])
+    .filter(item => item.type === 'reasoning')
+    .flatMap(item => item.summary ?? [])
+    .map(part => part.text)
+    .join('\n\n');
+}
+
+function usageOf(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.input_tokens ?? 0,
+    completionTokens: usage.output_tokens ?? 0,
+    reasoningTokens: usage.output_tokens_details?.reasoning_tokens ?? 0,
+  };
+}
+
+// Reasoning can use up the whole output budget before any visible text is produced
+function assertComplete(response, text) {
+  if (response?.status !== 'incomplete' || text) return;
+  const reason = response.incomplete_details?.reason ?? 'unknown';
+  throw new Error(`Response incomplete (${reason}) before any text was produced; raise maxOutputTokens or lower reasoningEffort`);
+}
+
+/**
+ * OpenAI Responses API adapter. The system prompt goes into `instructions`, the dialog into input items.
+ * Supports `reasoningEffort` and `reasoningSummary`; the summary comes back as `reasoning`.
+ */
+function createOpenAIResponsesProvider({ client }) {
+  // Models the API refused to stream for; they go straight to the blocking call
+  const noStreamingModels = new Set();
+
+  function toBody(request) {
+    const body = {
+      model: request.model,
+      instructions: request.system,
+      input: toInputItems(request.turns),
+      max_output_tokens: request.maxOutputTokens,
+      store: false,
+    };
+    const reasoning = {};
+    if (request.reasoningEffort && request.reasoningEffort !== 'default') reasoning.effort = request.reasoningEffort;
+    if (request.reasoningSummary && request.reasoningSummary !== 'off') reasoning.summary = request.reasoningSummary;
+    if (Object.keys(reasoning).length) body.reasoning = reasoning;
+    if (request.responseSchema) body.text = { format: { type: 'json_schema', ...request.responseSchema, strict: true } };
+    return body;
+  }
+
+  async function stream(body, onPartial) {
+    const events = await client.responses.create({ ...body, stream: true });
+    let text = '';
+    let response = null;
+    for await (const event of events) {
+      if (event.type === 'response.output_text.delta') {
+        text += event.delta;
+        onPartial(text);
+      } else if (event.type === 'response.completed' || event.type === 'response.incomplete') {
+        response = event.response;
+      } else if (event.type === 'response.failed') {
+        throw new Error(`Response failed: ${event.response.error?.message ?? 'unknown error'}`);
+      } else if (event.type === 'error') {
+        throw new Error(`Responses stream failed: ${event.message}`);
+      }
+    }
+    assertComplete(response, text);
+    return { text, reasoning: reasoningSummaryOf(response?.output), usage: usageOf(response?.usage) };
+  }
+
+  return {
+    name: 'openai-responses',
+
+    async complete(request) {
+      const body = toBody(request);
+
+      if (request.onPartial && !noStreamingModels.has(request.model)) {
+        try {
+          return await stream(body, request.onPartial);
+        } catch (err) {
+          if (!isStreamingUnsupported(err)) throw err;
+          console.warn(`Streaming is not available for ${request.model}, falling back to a single response`);
+          noStreamingModels.add(request.model);
+        }
+      }
+
+      const res = await client.responses.create(body);
+      assertComplete(res, res.output_text);
+      return { text: res.output_text, reasoning: reasoningSummaryOf(res.output), usage: usageOf(res.usage) };
+    },
+  };
+}
+
+module.exports = { createOpenAIResponsesProvider, isResponsesOnlyModel };
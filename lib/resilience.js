@@ -0,0 +1,128 @@
+const DEFAULT_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+const BREAKER_THRESHOLD = 5;
+const BREAKER_COOLDOWN_MS = 60000;
+
+// Failure classes worth another attempt; the rest fail the same way every time
+const RETRYABLE = new Set(['rate_limit', 'server', 'timeout']);
+
+function headerOf(err, name) {
+  const headers = err?.headers;
+  if (!headers) return undefined;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+/**
+ * Sorts an error from any provider SDK into a failure class:
+ * rate_limit, quota, server, timeout, context_length, content_policy, auth, circuit_open or unknown.
+ */
+function classifyError(err) {
+  if (err?.code === 'circuit_open') return 'circuit_open';
+  const status = err?.status;
+  const code = String(err?.code ?? err?.error?.code ?? '');
+  const message = String(err?.message ?? '');
+
+  if (code === 'insufficient_quota') return 'quota';
+  if (code === 'context_length_exceeded' || /maximum context length|prompt is too long|context window/i.test(message)) {
+    return 'context_length';
+  }
+  if (code === 'content_policy_violation' || code === 'content_filter' || /content (management )?policy|safety system/i.test(message)) {
+    return 'content_policy';
+  }
+  if (status === 429) return 'rate_limit';
+  if (status === 401 || status === 403) return 'auth';
+  // 529 is Anthropic's "overloaded"
+  if (status >= 500) return 'server';
+  // SDK connection errors (APIConnectionError, APIConnectionTimeoutError) carry no status
+  const type = err?.constructor?.name ?? '';
+  if (/timeout/i.test(type) || /timed? ?out/i.test(message)) return 'timeout';
+  if (status === undefined && /connection/i.test(type)) return 'timeout';
+  return 'unknown';
+}
+
+/**
+ * Delay before the next attempt: the server's Retry-After if it sent one (which may exceed `maxDelayMs`),
+ * otherwise exponential backoff with full jitter.
+ */
+function retryDelay(err, attempt, { baseDelayMs = BASE_DELAY_MS, maxDelayMs = MAX_DELAY_MS } = {}) {
+  const retryAfterMs = Number(headerOf(err, 'retry-after-ms'));
+  if (retryAfterMs > 0) return retryAfterMs;
+  const retryAfter = Number(headerOf(err, 'retry-after'));
+  if (retryAfter > 0) return retryAfter * 1000;
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+function createCircuitBreaker({ threshold = BREAKER_THRESHOLD, cooldownMs = BREAKER_COOLDOWN_MS } = {}) {
+  let failures = 0;
+  let openedAt = null;
+
+  return {
+    // Throws while open; after the cooldown a single trial call is let through (half-open)
+    check() {
+      if (openedAt === null) return;
+      const remaining = openedAt + cooldownMs - Date.now();
+      if (remaining > 0) {
+        throw Object.assign(new Error(`Circuit open, retry in ${Math.ceil(remaining / 1000)}s`), { code: 'circuit_open', retryAfterMs: remaining });
+      }
+      openedAt = Date.now();
+    },
+    success() {
+      failures = 0;
+      openedAt = null;
+    },
+    failure() {
+      failures++;
+      if (failures >= threshold) openedAt = Date.now();
+    },
+    get state() {
+      if (openedAt === null) return 'closed';
+      return Date.now() < openedAt + cooldownMs ? 'open' : 'half-open';
+    },
+  };
+}
+
+/**
+ * Runs calls with retries and one circuit breaker per key (e.g. per provider).
+ * Only retryable failures count towards opening the breaker.
+ */
+function createResilience({ retries = DEFAULT_RETRIES, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)), ...options } = {}) {
+  const maxDelayMs = options.maxDelayMs ?? MAX_DELAY_MS;
+  const breakers = new Map();
+
+  function breakerOf(key) {
+    if (!breakers.has(key)) breakers.set(key, createCircuitBreaker(options));
+    return breakers.get(key);
+  }
+
+  return {
+    async run(key, fn) {
+      const breaker = breakerOf(key);
+      for (let attempt = 0; ; attempt++) {
+        breaker.check();
+        try {
+          const result = await fn();
+          breaker.success();
+          return result;
+        } catch (err) {
+          const kind = classifyError(err);
+          if (!RETRYABLE.has(kind)) throw err;
+          breaker.failure();
+          if (attempt >= retries) throw err;
+          const delay = retryDelay(err, attempt, options);
+          // Retrying before the server's Retry-After would only fail again, and waiting longer holds up the queue
+          if (delay > maxDelayMs) {
+            console.warn(`${key}: ${kind} error, giving up as the server asks to wait ${Math.round(delay / 1000)}s`);
+            throw err;
+          }
+          console.warn(`${key}: ${kind} error (${err.message}), retrying in ${Math.round(delay)}ms`);
+          await sleep(delay);
+        }
+      }
+    },
+
+    states: () => Object.fromEntries([...breakers].map(([key, breaker]) => [key, breaker.state])),
+  };
+}
+
+module.exports = { classifyError, createResilience };
@@ -0,0 +1,71 @@
+const DEFAULT_CONCURRENCY = 4;
+// How many recent jobs the average wait time is computed over
+const WAIT_SAMPLE_SIZE = 100;
+
+/**
+ * Runs up to `concurrency` jobs at once, but never two jobs with the same key at the same time:
+ * jobs sharing a key (e.g. a channel) run one after another in the order they were added.
+ */
+function createScheduler(handler, { concurrency = DEFAULT_CONCURRENCY } = {}) {
+  const queues = new Map();
+  // Keys with waiting jobs and nothing running, in the order they became ready
+  const ready = [];
+  const running = new Set();
+  const waits = [];
+
+  function pump() {
+    while (running.size < concurrency && ready.length > 0) {
+      const key = ready.shift();
+      const job = queues.get(key).shift();
+      running.add(key);
+
+      waits.push(Date.now() - job.enqueuedAt);
+      if (waits.length > WAIT_SAMPLE_SIZE) waits.shift();
+
+      Promise.resolve()
+        .then(() => handler(job.item))
+        .catch(err => console.error(`Scheduled job for ${key} failed:`, err))
+        .finally(() => {
+          running.delete(key);
+          if (queues.get(key).length > 0) {
+            ready.push(key);
+          } else {
+            queues.delete(key);
+          }
+          pump();
+        });
+    }
+  }
+
+  return {
+    enqueue(key, item) {
+      if (!queues.has(key)) queues.set(key, []);
+      queues.get(key).push({ item, enqueuedAt: Date.now() });
+      if (!running.has(key) && !ready.includes(key)) ready.push(key);
+      pump();
+    },
+
+    /**
+     * Queue figures for admins; with a key, `keyQueued` counts the jobs waiting for that key.
+     */
+    stats(key) {
+      const now = Date.now();
+      let queued = 0;
+      let oldestWaitMs = 0;
+      for (const jobs of queues.values()) {
+        queued += jobs.length;
+        if (jobs.length) oldestWaitMs = Math.max(oldestWaitMs, now - jobs[0].enqueuedAt);
+      }
+      return {
+        queued,
+        running: running.size,
+        concurrency,
+        oldestWaitMs,
+        averageWaitMs: waits.length ? waits.reduce((sum, wait) => sum + wait, 0) / waits.length : 0,
+        keyQueued: key ? queues.get(key)?.length ?? 0 : undefined,
+      };
+    },
+  };
+}
+
+module.exports = { createScheduler };
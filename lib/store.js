@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const { LRUCache } = require('lru-cache');
+
+const DEFAULT_STORE_PATH = 'data/store';
+const FLUSH_INTERVAL_MS = 5000;
+
+// Set-like view over an LRU cache so bounded sets can share the same persistence as maps
+function lruSet(cache) {
+  return {
+    add(key) { cache.set(key, true); return this; },
+    has: key => cache.has(key),
+    delete: key => cache.delete(key),
+    clear: () => cache.clear(),
+    keys: () => cache.keys(),
+    get size() { return cache.size; },
+  };
+}
+
+function trackChanges(cache, onChange) {
+  for (const method of ['set', 'delete', 'clear']) {
+    const original = cache[method].bind(cache);
+    cache[method] = (...args) => {
+      onChange();
+      return original(...args);
+    };
+  }
+  return cache;
+}
+
+/**
+ * Keeps every collection in process memory only. Everything is lost on restart.
+ */
+function createMemoryStore() {
+  const collections = new Map();
+
+  // `persist` only matters to the file store
+  function collection(name, { persist, ...options }) {
+    if (!collections.has(name)) collections.set(name, new LRUCache({ max: 10000, ...options }));
+    return collections.get(name);
+  }
+
+  return {
+    driver: 'memory',
+    map: (name, options = {}) => collection(name, options),
+    set: (name, options = {}) => lruSet(collection(name, options)),
+    drop: name => collections.delete(name),
+    flush: async () => {},
+    close: () => {},
+  };
+}
+
+/**
+ * Same collections as the memory store, each periodically dumped to its own JSON file and restored on startup,
+ * so a change only rewrites the collection it touched. Writes go to a temporary file first so a crash mid-write
+ * never leaves a truncated file behind. Collections created with `persist: false` stay in memory only.
+ *
+ * `dirPath` is a directory; a single-file store from earlier versions (`<dirPath>.json`) is split up on startup.
+ */
+function createFileStore(dirPath = DEFAULT_STORE_PATH, { flushIntervalMs = FLUSH_INTERVAL_MS } = {}) {
+  const collections = new Map();
+  const dirty = new Set();
+  const fileOf = name => path.join(dirPath, `${name}.json`);
+
+  const legacyPath = `${dirPath}.json`;
+  let legacy = {};
+  try {
+    legacy = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Failed to read store ${legacyPath}, ignoring it:`, err);
+  }
+
+  function load(name) {
+    if (name in legacy) {
+      const entries = legacy[name];
+      delete legacy[name];
+      dirty.add(name);
+      return entries;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(fileOf(name), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Failed to read store ${fileOf(name)}, starting empty:`, err);
+      return null;
+    }
+  }
+
+  function collection(name, { persist = true, ...options }) {
+    if (!collections.has(name)) {
+      const cache = new LRUCache({ max: 10000, ...options });
+      if (!persist) {
+        collections.set(name, { cache });
+        return cache;
+      }
+      const entries = load(name);
+      if (Array.isArray(entries)) cache.load(entries);
+      collections.set(name, { cache: trackChanges(cache, () => dirty.add(name)) });
+    }
+    return collections.get(name).cache;
+  }
+
+  // A collection that was never requested (e.g. one a later version dropped) is not carried over
+  function retireLegacyFile() {
+    if (!fs.existsSync(legacyPath)) return;
+    fs.renameSync(legacyPath, `${legacyPath}.bak`);
+    legacy = {};
+    console.log(`Store ${legacyPath} split into ${dirPath}, the old file was kept as ${legacyPath}.bak`);
+  }
+
+  async function flush() {
+    for (const name of [...dirty]) {
+      dirty.delete(name);
+      const { cache } = collections.get(name);
+      const tmpPath = `${fileOf(name)}.tmp`;
+      try {
+        await fs.promises.mkdir(dirPath, { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify(cache.dump()));
+        await fs.promises.rename(tmpPath, fileOf(name));
+      } catch (err) {
+        dirty.add(name);
+        console.error(`Failed to write store ${fileOf(name)}:`, err);
+      }
+    }
+    if (dirty.size === 0) retireLegacyFile();
+  }
+
+  const flushTimer = setInterval(flush, flushIntervalMs);
+  flushTimer.unref();
+
+  return {
+    driver: 'file',
+    map: (name, options = {}) => collection(name, options),
+    set: (name, options = {}) => lruSet(collection(name, options)),
+    // Removes a collection that is no longer used along with its file
+    drop(name) {
+      delete legacy[name];
+      collections.delete(name);
+      dirty.delete(name);
+      fs.rmSync(fileOf(name), { force: true });
+    },
+    flush,
+    // Synchronous so it can run from signal handlers right before exit
+    close() {
+      clearInterval(flushTimer);
+      if (dirty.size === 0) return;
+      fs.mkdirSync(dirPath, { recursive: true });
+      for (const name of dirty) {
+        fs.writeFileSync(`${fileOf(name)}.tmp`, JSON.stringify(collections.get(name).cache.dump()));
+        fs.renameSync(`${fileOf(name)}.tmp`, fileOf(name));
+      }
+      dirty.clear();
+      retireLegacyFile();
+    },
+  };
+}
+
+/**
+ * Picks the storage backend from STORE_DRIVER ("file" by default, or "memory").
+ */
+function createStore(env = process.env) {
+  const driver = (env.STORE_DRIVER || 'file').toLowerCase();
+  if (driver === 'memory') return createMemoryStore();
+  // Paths of the former single-file store ("data/store.json") name the directory without the extension
+  if (driver === 'file') return createFileStore((env.STORE_PATH || DEFAULT_STORE_PATH).replace(/\.json$/, ''));
+  throw new Error(`Unknown STORE_DRIVER "${driver}"`);
+}
+
+module.exports = { createStore, createMemoryStore, createFileStore };
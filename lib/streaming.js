@@ -0,0 +1,50 @@
+// Discord allows about 5 edits per 5 seconds per channel; stay well below that
+const STREAM_EDIT_INTERVAL_MS = 1500;
+const STREAM_CURSOR = " ▌";
+const DISCORD_MESSAGE_LIMIT = 2000;
+
+function preview(text) {
+  const limit = DISCORD_MESSAGE_LIMIT - STREAM_CURSOR.length - 1;
+  return (text.length > limit ? `${text.substring(0, limit)}…` : text) + STREAM_CURSOR;
+}
+
+/**
+ * Shows partial text in a placeholder message, editing it at most once per interval.
+ * Only the newest text is sent; intermediate updates are dropped.
+ */
+function createProgressiveEditor(message, { intervalMs = STREAM_EDIT_INTERVAL_MS } = {}) {
+  let latest = null;
+  let shown = null;
+  let lastEditAt = 0;
+  let timer = null;
+  let stopped = false;
+  let inFlight = Promise.resolve();
+
+  function render() {
+    timer = null;
+    if (stopped || latest === shown) return;
+    const text = latest;
+    shown = text;
+    lastEditAt = Date.now();
+    inFlight = inFlight
+      .then(() => message.edit(preview(text)))
+      .catch(err => console.warn(`Failed to update streamed message ${message.id}:`, err.message));
+  }
+
+  return {
+    update(text) {
+      if (stopped) return;
+      latest = text;
+      if (!timer) timer = setTimeout(render, Math.max(0, lastEditAt + intervalMs - Date.now()));
+    },
+
+    // Cancels pending edits and waits for the one in flight, so the caller's final edit lands last
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      await inFlight;
+    },
+  };
+}
+
+module.exports = { createProgressiveEditor };
@@ -0,0 +1,121 @@
+const { EmbedBuilder } = require('discord.js');
+
+// Display data for the languages a guild can pick as translation targets (ISO 639-1 codes)
+const LANGUAGES = {
+  en: { name: 'English', flag: '🇺🇸' },
+  id: { name: 'Indonesian', flag: '🇮🇩' },
+  ko: { name: 'Korean', flag: '🇰🇷' },
+  ja: { name: 'Japanese', flag: '🇯🇵' },
+  zh: { name: 'Chinese (Simplified)', flag: '🇨🇳' },
+  es: { name: 'Spanish', flag: '🇪🇸' },
+  pt: { name: 'Portuguese', flag: '🇧🇷' },
+  fr: { name: 'French', flag: '🇫🇷' },
+  de: { name: 'German', flag: '🇩🇪' },
+  it: { name: 'Italian', flag: '🇮🇹' },
+  ru: { name: 'Russian', flag: '🇷🇺' },
+  uk: { name: 'Ukrainian', flag: '🇺🇦' },
+  pl: { name: 'Polish', flag: '🇵🇱' },
+  tr: { name: 'Turkish', flag: '🇹🇷' },
+  ar: { name: 'Arabic', flag: '🇸🇦' },
+  hi: { name: 'Hindi', flag: '🇮🇳' },
+  th: { name: 'Thai', flag: '🇹🇭' },
+  vi: { name: 'Vietnamese', flag: '🇻🇳' },
+  ms: { name: 'Malay', flag: '🇲🇾' },
+  tl: { name: 'Filipino', flag: '🇵🇭' },
+  nl: { name: 'Dutch', flag: '🇳🇱' },
+};
+
+const EMBED_FIELD_LIMIT = 1024;
+const EMBED_FOOTER_LIMIT = 2048;
+const EMBED_COLOR = 0xc77dff;
+
+function languageOf(code) {
+  return LANGUAGES[code] ?? { name: code.toUpperCase(), flag: '🌐' };
+}
+
+function translationSchema(languages) {
+  return {
+    name: 'translation',
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['sourceLanguage', 'translatable', 'translations'],
+      properties: {
+        sourceLanguage: { type: 'string', description: 'ISO 639-1 code of the language the message is written in' },
+        translatable: { type: 'boolean', description: 'false if there is nothing to translate (greetings in emoji, links, code, names only)' },
+        translations: {
+          type: 'object',
+          additionalProperties: false,
+          required: languages,
+          properties: Object.fromEntries(languages.map(code => [code, {
+            type: 'string',
+            description: `Translation into ${languageOf(code).name}, empty for the source language`,
+          }])),
+        },
+      },
+    },
+  };
+}
+
+function translationPrompt(languages, extraInstructions, sourceLanguage) {
+  const targets = languages.map(code => `${code} (${languageOf(code).name})`).join(', ');
+  const lines = [
+    `You are a translator in a Discord chat. Translate the user's message into each of these languages: ${targets}.`,
+    "Keep the meaning, tone, emoji, markdown, links and @mentions. Do not answer or comment on the message.",
+    "Leave the translation for the message's own language empty.",
+    "Set translatable to false if the message has no text worth translating.",
+    "Reply with a single JSON object: {\"sourceLanguage\": \"<code>\", \"translatable\": true|false, \"translations\": {\"<code>\": \"<text>\", ...}}.",
+  ];
+  if (sourceLanguage) lines.push(`The message is most likely written in ${languageOf(sourceLanguage).name}.`);
+  if (extraInstructions) lines.push(extraInstructions);
+  return lines.join('\n');
+}
+
+/**
+ * Reads the model's JSON answer, tolerating code fences or text around the object.
+ */
+function parseTranslation(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) throw new Error('Translation response contains no JSON object');
+  const result = JSON.parse(text.substring(start, end + 1));
+  return {
+    sourceLanguage: String(result.sourceLanguage ?? '').toLowerCase(),
+    translatable: result.translatable !== false,
+    translations: result.translations ?? {},
+  };
+}
+
+// Translations worth showing, in the configured order: non-empty and not into the source language
+function visibleTranslations(result, languages) {
+  return languages
+    .filter(code => code !== result.sourceLanguage)
+    .map(code => ({ code, text: String(result.translations[code] ?? '').trim() }))
+    .filter(({ text }) => text);
+}
+
+/**
+ * Turns a parsed translation into reply content: a string with one "🇺🇸 [EN] …" line per language,
+ * or a message payload with an embed. Returns null when there is nothing to show.
+ * A `note` (e.g. a failed glossary check) is added as small text below the lines or as the embed footer.
+ */
+function renderTranslation(result, languages, style, note = null) {
+  if (!result.translatable) return null;
+  const entries = visibleTranslations(result, languages);
+  if (entries.length === 0) return null;
+
+  // Embed fields are capped at 1024 characters, long texts fall back to plain lines
+  if (style === 'embed' && entries.every(({ text }) => text.length <= EMBED_FIELD_LIMIT)) {
+    const embed = new EmbedBuilder()
+      .setColor(EMBED_COLOR)
+      .addFields(entries.map(({ code, text }) => ({ name: `${languageOf(code).flag} ${languageOf(code).name}`, value: text })));
+    if (note) embed.setFooter({ text: `⚠️ ${note}`.substring(0, EMBED_FOOTER_LIMIT) });
+    return { content: '', embeds: [embed] };
+  }
+
+  const lines = entries.map(({ code, text }) => `${languageOf(code).flag} [${code.toUpperCase()}] ${text}`);
+  if (note) lines.push(`-# ⚠️ ${note}`);
+  return lines.join('\n');
+}
+
+module.exports = { LANGUAGES, translationSchema, translationPrompt, parseTranslation, renderTranslation };
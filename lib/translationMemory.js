@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+const DEFAULT_SIZE = 5000;
+const DEFAULT_TTL_HOURS = 24 * 7;
+
+// Whitespace differences don't change a translation, line breaks do
+function normalizeText(text) {
+  return text.normalize('NFC').split('\n').map(line => line.replace(/\s+/g, ' ').trim()).join('\n').trim();
+}
+
+/**
+ * Content-addressed cache of translation results, so repeated texts ("gm", reposted announcements) are not paid for twice.
+ * Entries are keyed by the normalized text and a version of the request: provider, model and the full system prompt,
+ * which covers the target languages, translation instructions and glossary. Any change to those is a cache miss.
+ * Size and lifetime come from `TRANSLATION_MEMORY_SIZE` and `TRANSLATION_MEMORY_TTL_HOURS`.
+ */
+function createTranslationMemory(store, env = process.env) {
+  const entries = store.map('translationMemory', {
+    max: Number(env.TRANSLATION_MEMORY_SIZE) || DEFAULT_SIZE,
+    ttl: (Number(env.TRANSLATION_MEMORY_TTL_HOURS) || DEFAULT_TTL_HOURS) * 1000 * 60 * 60,
+  });
+  // Counted since startup
+  let hits = 0;
+  let misses = 0;
+
+  return {
+    keyOf: (text, version) => crypto.createHash('sha1').update(JSON.stringify([version, normalizeText(text)])).digest('hex'),
+
+    get(key) {
+      const value = entries.get(key);
+      if (value === undefined) misses++;
+      else hits++;
+      return value;
+    },
+
+    set: (key, value) => entries.set(key, value),
+
+    stats: () => ({
+      size: entries.size,
+      hits,
+      misses,
+      hitRate: hits + misses ? hits / (hits + misses) : 0,
+    }),
+  };
+}
+
+module.exports = { createTranslationMemory };
@@ -0,0 +1,52 @@
+// IDs a channel filter entry may refer to: the channel itself, its category, and for threads the parent channel's category
+function channelFilterIds(channel) {
+  return [channel?.id, channel?.parentId, channel?.parent?.parentId].filter(Boolean);
+}
+
+/**
+ * Deny list wins over allow list; an empty allow list allows every channel.
+ */
+function isChannelAllowed(channel, settings) {
+  const ids = channelFilterIds(channel);
+  if (settings.deniedChannels.some(id => ids.includes(id))) return false;
+  if (settings.allowedChannels.length === 0) return true;
+  return settings.allowedChannels.some(id => ids.includes(id));
+}
+
+function stripLeadingMention(text, botId) {
+  return text.replace(new RegExp(`^\\s*<@!?${botId}>[\\s,:]*`), '');
+}
+
+/**
+ * Decides whether a message should be answered in the channel's trigger mode.
+ * Returns the text to send to the model (with the trigger prefix or the bot mention removed), or null.
+ *
+ * `isBotMessage(id)` tells whether a message ID belongs to one of this bot's replies.
+ */
+function matchTrigger(message, settings, { botId, isBotMessage }) {
+  const text = message.content;
+  // Threads the bot opened for a conversation are answered like any reply to it
+  if (message.channel?.isThread?.() && message.channel.ownerId === botId) return stripLeadingMention(text, botId);
+
+  // mentions.users also holds the author of a replied-to message when the reply pings, which is not a mention
+  const mentioned = message.mentions.has(botId, { ignoreRepliedUser: true, ignoreRoles: true, ignoreEveryone: true });
+  const repliedToBot = !!message.reference?.messageId && isBotMessage(message.reference.messageId);
+
+  switch (settings.triggerMode) {
+    case 'mention':
+      return mentioned ? stripLeadingMention(text, botId) : null;
+    case 'reply':
+      return repliedToBot ? text : null;
+    case 'mentionOrReply':
+      return mentioned || repliedToBot ? stripLeadingMention(text, botId) : null;
+    case 'prefix': {
+      const prefix = settings.triggerPrefix;
+      if (!prefix || !text.trimStart().startsWith(prefix)) return null;
+      return text.trimStart().substring(prefix.length).trimStart();
+    }
+    default:
+      return text;
+  }
+}
+
+module.exports = { isChannelAllowed, matchTrigger };
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const { lookupByModelPrefix } = require('./models');
+
+const DEFAULT_PRICES_PATH = 'data/prices.json';
+// Usage buckets are kept long enough for a report on the previous month
+const USAGE_TTL_MS = 1000 * 60 * 60 * 24 * 62;
+const TOP_ENTRIES = 5;
+
+// USD per million tokens by model prefix; the longest matching prefix wins.
+// Reasoning tokens are billed as output and are already part of the completion tokens.
+const DEFAULT_PRICES = {
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.5': { input: 75, output: 150 },
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'o1': { input: 15, output: 60 },
+  'o1-mini': { input: 1.1, output: 4.4 },
+  'o1-pro': { input: 150, output: 600 },
+  'o3': { input: 2, output: 8 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'o3-pro': { input: 20, output: 80 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+};
+
+function dayOf(time) {
+  return new Date(time).toISOString().substring(0, 10);
+}
+
+function periodKey(period, time) {
+  return period === 'day' ? dayOf(time) : dayOf(time).substring(0, 7);
+}
+
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return dayOf(date);
+}
+
+/**
+ * The day range `{ from, to }` (UTC, `to` exclusive) of a report period:
+ * `today`, `week` (last 7 days), `month` (this calendar month), or the last complete
+ * `daily` (yesterday) and `weekly` (previous Monday to Sunday) periods for scheduled reports.
+ */
+function reportPeriod(period, now = Date.now()) {
+  const today = dayOf(now);
+  switch (period) {
+    case 'today':
+      return { from: today, to: addDays(today, 1) };
+    case 'week':
+      return { from: addDays(today, -6), to: addDays(today, 1) };
+    case 'month':
+      return { from: `${today.substring(0, 7)}-01`, to: addDays(today, 1) };
+    case 'daily':
+      return { from: addDays(today, -1), to: today };
+    case 'weekly': {
+      const monday = addDays(today, -((new Date(now).getUTCDay() + 6) % 7));
+      return { from: addDays(monday, -7), to: monday };
+    }
+    default:
+      throw new Error(`Unknown report period "${period}"`);
+  }
+}
+
+function readPrices(filePath) {
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Failed to read prices ${filePath}, using the built-in table:`, err.message);
+    return { ...DEFAULT_PRICES };
+  }
+}
+
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, reasoningTokens: 0, cost: 0, unpriced: 0 };
+}
+
+function addTotals(target, source) {
+  for (const key of Object.keys(target)) target[key] += source[key];
+  return target;
+}
+
+/**
+ * Token usage and estimated cost, bucketed per UTC day, guild, channel, user and model.
+ * Costs are computed when a request is recorded, so later price changes don't rewrite history.
+ * The price table is built in and can be extended or overridden by a JSON file (`PRICES_PATH`).
+ */
+function createUsage(store, { pricesPath = process.env.PRICES_PATH || DEFAULT_PRICES_PATH } = {}) {
+  const buckets = store.map('usage', { max: 50000, ttl: USAGE_TTL_MS });
+  // Running cost per guild (and over all guilds) for the current day and month, read on every message by the budget caps
+  const spending = store.map('spending', { max: 20000, ttl: USAGE_TTL_MS });
+  let prices = readPrices(pricesPath);
+
+  function priceOf(model) {
+    return lookupByModelPrefix(prices, model) ?? null;
+  }
+
+  function spendingKeyOf(period, guildId) {
+    const key = periodKey(period, Date.now());
+    return guildId ? `guild:${guildId}:${key}` : `all:${key}`;
+  }
+
+  return {
+    priceOf,
+    reload: () => { prices = readPrices(pricesPath); },
+
+    /**
+     * Records one completed request: `{ guildId, channelId, userId, model, promptTokens, completionTokens, reasoningTokens }`.
+     * Returns the estimated cost in USD, or null when the model has no price.
+     */
+    record({ guildId, channelId, userId, model, promptTokens, completionTokens, reasoningTokens = 0 }) {
+      const price = priceOf(model);
+      const cost = price ? (promptTokens * price.input + completionTokens * price.output) / 1e6 : null;
+      const key = [dayOf(Date.now()), guildId ?? '', channelId ?? '', userId ?? '', model].join('|');
+      const bucket = buckets.get(key) ?? emptyTotals();
+      buckets.set(key, addTotals(bucket, {
+        requests: 1,
+        promptTokens,
+        completionTokens,
+        reasoningTokens,
+        cost: cost ?? 0,
+        unpriced: cost === null ? 1 : 0,
+      }));
+      if (cost) {
+        for (const period of ['day', 'month']) {
+          for (const id of [guildId, null]) {
+            const spendingKey = spendingKeyOf(period, id);
+            spending.set(spendingKey, (spending.get(spendingKey) ?? 0) + cost);
+          }
+        }
+      }
+      return cost;
+    },
+
+    // Estimated USD spent in the current UTC day or month by one guild, or by all of them without a guild ID
+    spent: (period, guildId) => spending.get(spendingKeyOf(period, guildId)) ?? 0,
+
+    /**
+     * Totals for the days in `[from, to)`, optionally limited to one guild, with breakdowns by model, user and channel.
+     */
+    report({ from, to, guildId }) {
+      const result = { from, to, totals: emptyTotals(), models: {}, users: {}, channels: {} };
+      for (const [key, bucket] of buckets.entries()) {
+        const [day, bucketGuildId, channelId, userId, model] = key.split('|');
+        if (day < from || day >= to) continue;
+        if (guildId && bucketGuildId !== guildId) continue;
+        addTotals(result.totals, bucket);
+        for (const [group, id] of [['models', model], ['users', userId], ['channels', channelId]]) {
+          result[group][id] = addTotals(result[group][id] ?? emptyTotals(), bucket);
+        }
+      }
+      return result;
+    },
+  };
+}
+
+function formatCost(cost) {
+  return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+}
+
+function formatTop(entries, label) {
+  return Object.entries(entries)
+    .sort(([, a], [, b]) => b.cost - a.cost || b.requests - a.requests)
+    .slice(0, TOP_ENTRIES)
+    .map(([id, totals]) => `${label(id)} ${formatCost(totals.cost)} (${totals.requests})`)
+    .join(', ');
+}
+
+/**
+ * Renders a report from `report()` as a Discord message.
+ */
+function formatReport(report, title) {
+  const { totals } = report;
+  const lastDay = addDays(report.to, -1);
+  const days = report.from === lastDay ? report.from : `${report.from} – ${lastDay}`;
+  if (totals.requests === 0) return `📊 **${title}, ${days}**\nNo requests.`;
+  const lines = [
+    `📊 **${title}, ${days}**`,
+    `Requests: ${totals.requests}`,
+    `Tokens: ${totals.promptTokens} prompt, ${totals.completionTokens} completion (${totals.reasoningTokens} reasoning)`,
+    `Estimated cost: ${formatCost(totals.cost)}${totals.unpriced ? ` (+ ${totals.unpriced} requests to models without a price)` : ''}`,
+    `Models: ${formatTop(report.models, model => `\`${model}\``)}`,
+    `Top users: ${formatTop(report.users, id => `<@${id}>`)}`,
+    `Top channels: ${formatTop(report.channels, id => `<#${id}>`)}`,
+  ];
+  return lines.join('\n');
+}
+
+module.exports = { createUsage, reportPeriod, formatReport, formatCost };
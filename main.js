@@ -1,32 +1,51 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, Partials, ActivityType } = require('discord.js');
-const { OpenAI } = require('openai');
-const { LRUCache } = require('lru-cache');
+const crypto = require('crypto');
+const { Client, GatewayIntentBits, Partials, ActivityType, MessageType } = require('discord.js');
+const { createStore } = require('./lib/store');
+const { createConfig } = require('./lib/config');
+const { registerCommands, handleCommand } = require('./lib/commands');
+const { isChannelAllowed, matchTrigger } = require('./lib/triggers');
+const { createProgressiveEditor } = require('./lib/streaming');
+const { splitMessage } = require('./lib/chunker');
+const { countTokens, contextBudgetOf, fitDialog } = require('./lib/context');
+const { createProviders } = require('./lib/providers');
+const { LANGUAGES, translationSchema, translationPrompt, parseTranslation, renderTranslation } = require('./lib/translation');
+const { detectLanguage } = require('./lib/langdetect');
+const { classifyError, createResilience } = require('./lib/resilience');
+const { createScheduler } = require('./lib/scheduler');
+const { createLimits, limitNotice } = require('./lib/limits');
+const { createUsage, reportPeriod, formatReport } = require('./lib/usage');
+const { readAttachments, visionEnabled } = require('./lib/attachments');
+const { createOcr } = require('./lib/ocr');
+const { normalizeMentions, restoreMentions } = require('./lib/mentions');
+const { createGlossary, glossaryPrompt, glossaryViolations } = require('./lib/glossary');
+const { createTranslationMemory } = require('./lib/translationMemory');
 
 // Constants
-const MAX_MESSAGE_LENGTH = 3000;
-const ERROR_MESSAGE = "❗ OnionBot failed to translate. Please try again.";
-const LENGTH_WARNING_MESSAGE = "⚠️ The message is too long. Please keep it under 3000 characters.";
-const SYSTEM_PROMPT = process.env.GPT_PROMPT;
 const NOT_TRANSLATABLE_KEYWORD = "not translatable";
+const SUMMARY_MAX_TOKENS = 500;
+const SUMMARY_PROMPT = "Summarize the following conversation in a few sentences. Keep names, decisions and open questions.";
+const REPORT_CHECK_INTERVAL_MS = 1000 * 60 * 10;
 
-// Loading animation frames
-const LOADING_FRAMES = [
-  "🧅 Translating ░░░░░░░░░░",
-  "🧅 Translating ▓░░░░░░░░░",
-  "🧅 Translating ▓▓░░░░░░░░",
-  "🧅 Translating ▓▓▓░░░░░░░",
-  "🧅 Translating ▓▓▓▓░░░░░░",
-  "🧅 Translating ▓▓▓▓▓░░░░░",
-  "🧅 Translating ▓▓▓▓▓▓░░░░",
-  "🧅 Translating ▓▓▓▓▓▓▓░░░",
-  "🧅 Translating ▓▓▓▓▓▓▓▓░░",
-  "🧅 Translating ▓▓▓▓▓▓▓▓▓░",
-  "🧅 Translating ▓▓▓▓▓▓▓▓▓▓"
-];
+// Context-menu actions on a message, answered privately in the invoking user's language
+const MESSAGE_ACTION_PROMPT = "You help a member of a Discord server understand a conversation. Always answer in {language}.";
+const NOTHING_TO_TRANSLATE_MESSAGE = "There is nothing to translate in this message.";
+const MESSAGE_ACTION_INSTRUCTIONS = {
+  explain: "Explain the last message above: what it means, including slang, abbreviations and references to earlier messages. Be brief.",
+  summarize: "Summarize the conversation above in a few sentences. Keep names, decisions and open questions.",
+};
+
+// Loading animation: the configured text followed by a progress bar
+const LOADING_BAR_LENGTH = 10;
 const LOADING_INTERVAL_MS = 500;
 const MAX_LOADING_DURATION_MS = 10000;
 
+// Discord caps thread names at 100 characters and fetches at most 100 messages at once
+const THREAD_NAME_LENGTH = 90;
+const MAX_FETCH_LIMIT = 100;
+// Mentions in answers are shown but don't notify anyone (no @everyone, roles or users); only the replied-to author is pinged
+const ALLOWED_MENTIONS = { parse: [], repliedUser: true };
+
 // Initialize Discord client
 const discordClient = new Client({
   partials: [Partials.Channel, Partials.Message],
@@ -38,16 +57,153 @@ const discordClient = new Client({
   ]
 });
 
-// Initialize OpenAI client
-const openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// LLM backends, picked per message by the `provider` setting, behind retries and a circuit breaker per provider
+const providers = createProviders();
+const resilience = createResilience();
+// Text recognition for screenshots in translate mode, through a vision model or a local program
+const ocr = createOcr({ complete });
+
+// Per-guild/per-channel settings, reloaded when the file changes
+const config = createConfig(process.env.CONFIG_PATH);
+// Per-guild preferred translations and do-not-translate terms, reloaded when the file changes
+const glossary = createGlossary(process.env.GLOSSARY_PATH);
 
-// LRU cache for messages
-const messageCache = new LRUCache({ max: 1000, ttl: 1000 * 60 * 60 });
+// Conversation state, persisted across restarts unless STORE_DRIVER=memory
+const store = createStore();
+// Message texts (with attachment contents) are fetched again from Discord when missing, so they are not persisted
+const messageCache = store.map('messages', { max: 1000, ttl: 1000 * 60 * 60, persist: false });
+const thisBotMessages = store.set('botMessages', { max: 50000 });
+// Message ID → fingerprint of the text last handled for it, so edits are only answered again when the text changed
+const processedMessages = store.map('processedTexts', { max: 50000 });
+// Replaced by processedTexts, which also remembers what the text was
+store.drop('processedMessages');
+// Original message ID → IDs of every chunk of the bot's reply
+const originalToReplyMap = store.map('replies', { max: 50000 });
+// Translation results by content, so repeated texts are answered without calling the model
+const translationMemory = createTranslationMemory(store);
+// Summaries of trimmed dialog beginnings, keyed by model and the newest summarized message
+const summaryCache = store.map('summaries', { max: 1000, ttl: 1000 * 60 * 60 * 24 });
+
+// Token usage and estimated cost per guild, channel, user and model
+const usage = createUsage(store);
+// Message rate limits and token quotas per user, channel and guild, spending caps per guild and overall
+const limits = createLimits(store, { usage });
+// Start day of the last scheduled report posted per guild and schedule
+const sentReports = store.map('sentReports', { max: 10000 });
+// Language each user picked for the message actions
+const userLanguages = store.map('userLanguages', { max: 100000 });
 
 let botName;
-const thisBotMessages = new Set();
-const processedMessages = new Set();
-const originalToReplyMap = new Map();
+const startedAt = Date.now();
+
+function loadingFrames(text) {
+  const frames = [];
+  for (let filled = 0; filled <= LOADING_BAR_LENGTH; filled++) {
+    frames.push(`${text} ${'▓'.repeat(filled)}${'░'.repeat(LOADING_BAR_LENGTH - filled)}`);
+  }
+  return frames;
+}
+
+function replyIdsOf(messageId) {
+  // Stores written before replies were split hold a single ID
+  return [].concat(originalToReplyMap.get(messageId) ?? []);
+}
+
+async function fetchReplies(channel, messageId) {
+  const replies = [];
+  let thread;
+  for (const id of replyIdsOf(messageId)) {
+    let reply = await channel.messages.fetch(id).catch(() => null);
+    if (!reply) {
+      // Answers moved into a thread started from the message live there; the thread has the message's ID
+      if (thread === undefined) thread = await discordClient.channels.fetch(messageId).catch(() => null);
+      reply = await thread?.messages?.fetch(id).catch(() => null);
+    }
+    if (reply) replies.push(reply);
+  }
+  return replies;
+}
+
+// Resolves to null if the thread can't be created (e.g. missing permissions), so the answer stays in the channel
+function startThreadFor(message, text) {
+  const firstLine = text.trim().split('\n')[0];
+  const name = firstLine.length > THREAD_NAME_LENGTH ? `${firstLine.substring(0, THREAD_NAME_LENGTH - 1)}…` : firstLine;
+  return message.startThread({ name: name || `${message.author.username}'s question` }).catch(err => {
+    console.warn(`Failed to start a thread for message ${message.id}:`, err.message);
+    return null;
+  });
+}
+
+// Threads follow the settings of their parent channel unless they have their own
+function settingsFor(message) {
+  const parentId = message.channel?.isThread?.() ? message.channel.parentId : null;
+  return config.resolve(message.guildId, message.channelId, parentId);
+}
+
+/**
+ * Puts the chunks (text or message payloads) into the given bot messages: edits them in order, sends extra chunks
+ * as replies to the previous chunk and deletes messages left over from a longer previous answer.
+ */
+async function syncReplies(targets, chunks) {
+  const replies = [];
+  for (let i = 0; i < chunks.length; i++) {
+    // Text chunks clear any embed a previous answer left in the message
+    const payload = typeof chunks[i] === 'string'
+      ? { content: chunks[i], embeds: [], allowedMentions: ALLOWED_MENTIONS }
+      : { ...chunks[i], allowedMentions: ALLOWED_MENTIONS };
+    if (i < targets.length) {
+      await targets[i].edit(payload);
+      replies.push(targets[i]);
+    } else {
+      replies.push(await replies[i - 1].reply(payload));
+    }
+  }
+  for (const extra of targets.slice(chunks.length)) {
+    await extra.delete().catch(() => null);
+    thisBotMessages.delete(extra.id);
+  }
+  return replies;
+}
+
+/**
+ * Deletes every chunk of the bot's reply to a message and forgets the link between them.
+ */
+async function removeReplies(channel, messageId) {
+  for (const reply of await fetchReplies(channel, messageId)) {
+    await reply.delete().catch(() => null);
+  }
+  for (const id of replyIdsOf(messageId)) thisBotMessages.delete(id);
+  originalToReplyMap.delete(messageId);
+}
+
+// Whitespace-only edits and link previews loading don't count as a change, removing an attachment does
+function fingerprintOf(text, message) {
+  const normalized = [text.trim().replace(/\s+/g, ' '), ...(message.attachments?.keys() ?? [])].join('\n');
+  return crypto.createHash('sha1').update(normalized).digest('base64');
+}
+
+/**
+ * What the model sees of a message: its text with readable mentions and the contents of text attachments appended,
+ * and its images. `mentions` maps the mention placeholders back to Discord markup for the answer.
+ */
+async function cacheEntryOf(message, text, settings) {
+  const attachments = await readAttachments(message, settings);
+  const { text: readable, mentions } = normalizeMentions(text, message);
+  return {
+    text: [readable, attachments.text].filter(Boolean).join('\n\n'),
+    images: attachments.images,
+    mentions,
+    reference: message.reference?.messageId,
+    author: message.author.username,
+  };
+}
+
+// Target languages without the one the text is detected to be written in
+// The detected language of a text and the `candidates` (by default the channel's target languages) it isn't written in
+function languagesFor(text, settings, candidates = settings.targetLanguages) {
+  const sourceLanguage = settings.languageDetection ? detectLanguage(text) : null;
+  return { sourceLanguage, languages: candidates.filter(code => code !== sourceLanguage) };
+}
 
 function isTranslatableText(text) {
   const trimmed = text.trim();
@@ -65,98 +221,221 @@ discordClient.on('ready', () => {
     status: 'online',
     activities: [{ name: `OnionBot is online`, type: ActivityType.Custom, timestamps: { start: Date.now() } }],
   });
+  registerCommands(discordClient, process.env.COMMANDS_GUILD_ID)
+    .catch(err => console.error('Failed to register slash commands:', err));
+  postReports();
+  setInterval(postReports, REPORT_CHECK_INTERVAL_MS);
 });
 
-const messageQueue = [];
-let isProcessingQueue = false;
+/**
+ * Posts the usage report of the last complete day or week to every guild that has `reportSchedule` and
+ * `reportChannel` set. Each period is posted once, also across restarts.
+ */
+async function postReports() {
+  for (const guild of discordClient.guilds.cache.values()) {
+    const settings = config.resolve(guild.id, null);
+    if (settings.reportSchedule === 'off' || !settings.reportChannel) continue;
+    const period = reportPeriod(settings.reportSchedule);
+    const key = `${guild.id}:${settings.reportSchedule}`;
+    if (sentReports.get(key) === period.from) continue;
+    try {
+      const channel = await discordClient.channels.fetch(settings.reportChannel);
+      // The ID may also come from the config file, which the command's check doesn't cover
+      if (channel.guildId !== guild.id) throw new Error(`channel ${channel.id} belongs to another server`);
+      const title = settings.reportSchedule === 'daily' ? 'Daily usage' : 'Weekly usage';
+      await channel.send({ content: formatReport(usage.report({ ...period, guildId: guild.id }), title), allowedMentions: { parse: [] } });
+      sentReports.set(key, period.from);
+    } catch (err) {
+      console.error(`Failed to post the ${settings.reportSchedule} usage report for guild ${guild.id}:`, err.message);
+    }
+  }
+}
+
+discordClient.on('interactionCreate', interaction => handleCommand(interaction, {
+  config,
+  glossary,
+  limits,
+  usage,
+  userLanguages,
+  runMessageAction,
+  getStatus: channelId => ({
+    queue: scheduler.stats(channelId),
+    startedAt,
+    storeDriver: store.driver,
+    circuits: resilience.states(),
+    translationMemory: translationMemory.stats(),
+  }),
+}).catch(err => console.error(`Error handling interaction ${interaction.id}:`, err)));
+
+// Channels are processed in parallel, messages, edits and deletes within a channel strictly in order
+const scheduler = createScheduler(job => job(), { concurrency: Number(process.env.QUEUE_CONCURRENCY) || undefined });
 
 function enqueueMessage(message) {
   if (message.author.bot) return;
-  messageQueue.push(message);
-  if (!isProcessingQueue) processQueue();
+  scheduler.enqueue(message.channelId, () => handleMessage(message));
 }
 
-async function processQueue() {
-  isProcessingQueue = true;
-  while (messageQueue.length > 0) {
-    const nextMessage = messageQueue.shift();
-    await handleMessage(nextMessage);
+discordClient.on('messageCreate', message => enqueueMessage(message));
+
+discordClient.on('messageUpdate', async (oldMessage, newMessage) => {
+  // Edits of messages sent before the bot started arrive without content
+  const message = newMessage.partial ? await newMessage.fetch().catch(() => null) : newMessage;
+  if (!message) return;
+  // Reply chains read edited messages (including the bot's own edited answers) again instead of the stale text.
+  // Other messages are dropped from the cache in their channel's queue, not while a reply to them is in progress.
+  if (message.author.bot) {
+    messageCache.delete(message.id);
+    return;
   }
-  isProcessingQueue = false;
-}
+  scheduler.enqueue(message.channelId, () => {
+    messageCache.delete(message.id);
+    return handleMessage(message);
+  });
+});
 
-discordClient.on('messageCreate', message => enqueueMessage(message));
+discordClient.on('messageDelete', message => {
+  scheduler.enqueue(message.channelId, () => handleDelete(message.channelId, [message.id]));
+});
 
-discordClient.on('messageUpdate', (oldMessage, newMessage) => {
-  const message = newMessage.partial ? oldMessage : newMessage;
-  if (!message || message.partial || !message.content || message.author?.bot) return;
-  enqueueMessage(message);
+discordClient.on('messageDeleteBulk', (messages, channel) => {
+  scheduler.enqueue(channel.id, () => handleDelete(channel.id, [...messages.keys()]));
 });
 
+/**
+ * Removes the bot's replies to deleted messages along with everything remembered about them.
+ */
+async function handleDelete(channelId, messageIds) {
+  const channel = await discordClient.channels.fetch(channelId).catch(() => null);
+  for (const id of messageIds) {
+    if (channel && originalToReplyMap.has(id)) await removeReplies(channel, id);
+    messageCache.delete(id);
+    processedMessages.delete(id);
+    thisBotMessages.delete(id);
+  }
+}
+
 async function handleMessage(message) {
   if (message.author.bot) return;
 
+  const settings = settingsFor(message);
+  if (settings.paused || !isChannelAllowed(message.channel, settings)) return;
+  const text = matchTrigger(message, settings, { botId: discordClient.user.id, isBotMessage: id => thisBotMessages.has(id) });
   const hasReply = originalToReplyMap.has(message.id);
-  const wasProcessed = processedMessages.has(message.id);
-  if (wasProcessed && !hasReply) return;
-  if (!wasProcessed) processedMessages.add(message.id);
-
-  if (message.content.length >= MAX_MESSAGE_LENGTH) {
-    await message.reply(LENGTH_WARNING_MESSAGE);
+  if (text === null) {
+    // The edit removed the trigger (e.g. the mention), so the old answer no longer belongs to the message
+    if (hasReply) await removeReplies(message.channel, message.id);
     return;
   }
-  if (!isTranslatableText(message.content)) return;
 
+  const fingerprint = fingerprintOf(text, message);
+  if (processedMessages.get(message.id) === fingerprint) return;
+  processedMessages.set(message.id, fingerprint);
+
+  if (text.length >= settings.maxMessageLength) {
+    if (hasReply) await removeReplies(message.channel, message.id);
+    await message.reply(settings.lengthWarningMessage.replaceAll('{maxMessageLength}', settings.maxMessageLength));
+    return;
+  }
   // Update cache on new or edited
-  messageCache.set(message.id, { text: message.content, reference: message.reference?.messageId, author: message.author.username });
+  const entry = await cacheEntryOf(message, text, settings);
+  // Images alone are worth an answer in chat mode, in translate mode only if the text in them is translated
+  const readsImages = settings.mode === 'translate' && settings.imageTranslation && entry.images.length > 0;
+  const hasImages = settings.mode === 'chat' ? entry.images.length > 0 : readsImages;
+  if (!isTranslatableText(entry.text) && !hasImages) {
+    if (hasReply) await removeReplies(message.channel, message.id);
+    return;
+  }
+  messageCache.set(message.id, entry);
+
+  // Only ask for translations into languages the message is not already written in
+  const { sourceLanguage, languages } = languagesFor(text, settings);
+  if (settings.mode === 'translate' && languages.length === 0 && !readsImages) {
+    console.log(`Message ${message.id} is already in ${sourceLanguage}, nothing to translate`);
+    if (hasReply) await removeReplies(message.channel, message.id);
+    return;
+  }
+  if (settings.prompt) {
+    settings.prompt = settings.prompt.replaceAll('{language}', LANGUAGES[sourceLanguage]?.name ?? 'unknown');
+  }
+
+  const requester = { userId: message.author.id, channelId: message.channelId, guildId: message.guildId };
+  const block = await applyLimits(requester, settings, message.id);
+  if (block) {
+    if (block.notify) await message.reply(limitNotice(block, settings));
+    return;
+  }
 
+  // Answers may move into a thread of their own, but never from inside a thread or for an edit
+  const canStartThread = settings.mode === 'chat' && settings.autoThread !== 'off' && !hasReply && !message.channel.isThread();
+  let thread = null;
   let loadingMessage;
   let loadingInterval;
   let loadingTimeout;
+  let editor;
   try {
+    if (canStartThread && settings.autoThread === 'always') thread = await startThreadFor(message, text);
+
     // Send initial loading message and start animation
-    loadingMessage = await message.reply(LOADING_FRAMES[0]);
+    const frames = loadingFrames(settings.loadingText);
+    loadingMessage = thread ? await thread.send(frames[0]) : await message.reply(frames[0]);
     let frameIndex = 1;
     loadingInterval = setInterval(() => {
       if (!loadingMessage.editable) return;
-      loadingMessage.edit(LOADING_FRAMES[frameIndex % LOADING_FRAMES.length]);
+      loadingMessage.edit(frames[frameIndex % frames.length]);
       frameIndex++;
     }, LOADING_INTERVAL_MS);
     // Ensure animation stops after max duration
     loadingTimeout = setTimeout(() => clearInterval(loadingInterval), MAX_LOADING_DURATION_MS);
 
-    const response = await generateResponse(message.id, message.channelId);
+    // Replace the animation with the partial answer as soon as the first tokens arrive
+    editor = createProgressiveEditor(loadingMessage);
+    const onPartial = settings.streaming ? partial => {
+      clearInterval(loadingInterval);
+      if (!partial.toLowerCase().includes(NOT_TRANSLATABLE_KEYWORD)) editor.update(partial);
+    } : null;
+
+    const response = settings.mode === 'translate'
+      ? await generateTranslation(message.id, settings, { entry, languages, sourceLanguage, requester })
+      : await generateResponse(message.id, message.channelId, settings, { onPartial, requester });
     clearInterval(loadingInterval);
     clearTimeout(loadingTimeout);
+    await editor.stop();
 
-    if (!response || response.toLowerCase().includes(NOT_TRANSLATABLE_KEYWORD)) {
-      // Remove loading message if response not needed
+    // Translate mode relies on the structured `translatable` flag alone; a translation may well say "not translatable"
+    const notNeeded = settings.mode === 'chat' && typeof response === 'string' && response.toLowerCase().includes(NOT_TRANSLATABLE_KEYWORD);
+    if (!response || notNeeded) {
+      // Remove loading message if response not needed, and an answer to the message before it was edited
       await loadingMessage.delete().catch(() => null);
+      if (hasReply) await removeReplies(message.channel, message.id);
       return;
     }
 
-    if (hasReply) {
-      const existing = await message.channel.messages.fetch(originalToReplyMap.get(message.id)).catch(() => null);
-      if (existing) {
-        await existing.edit(response);
-        // Delete loading message
+    // Update the previous answer in place on edits, otherwise turn the loading message into the answer
+    const existing = hasReply ? await fetchReplies(message.channel, message.id) : [];
+    const chunks = typeof response === 'string' ? splitMessage(response) : [response];
+    if (canStartThread && !thread && chunks.length > 1) {
+      // Long answers go into a thread so they don't flood a busy channel
+      thread = await startThreadFor(message, text);
+      if (thread) {
         await loadingMessage.delete().catch(() => null);
-        return;
+        loadingMessage = await thread.send(settings.loadingText);
       }
     }
+    const replies = await syncReplies(existing.length ? existing : [loadingMessage], chunks);
+    if (existing.length) await loadingMessage.delete().catch(() => null);
 
-    // Edit loading message to response
-    await loadingMessage.edit(response);
-    thisBotMessages.add(loadingMessage.id);
-    originalToReplyMap.set(message.id, loadingMessage.id);
+    for (const reply of replies) thisBotMessages.add(reply.id);
+    originalToReplyMap.set(message.id, replies.map(reply => reply.id));
   } catch (err) {
     clearInterval(loadingInterval);
     clearTimeout(loadingTimeout);
+    await editor?.stop();
     console.error(`Error processing message ${message.id}:`, err);
+    const notice = errorMessageFor(err, settings);
     if (hasReply) {
-      const existing = await message.channel.messages.fetch(originalToReplyMap.get(message.id)).catch(() => null);
+      const [existing] = await fetchReplies(message.channel, message.id);
       if (existing) {
-        await existing.edit(ERROR_MESSAGE);
+        await existing.edit({ content: notice, embeds: [] });
         // Delete loading message
         await loadingMessage.delete().catch(() => null);
         return;
@@ -164,35 +443,353 @@ async function handleMessage(message) {
     }
     // On error, edit loading to error or send new
     if (loadingMessage) {
-      await loadingMessage.edit(ERROR_MESSAGE);
+      await loadingMessage.edit(notice);
     } else {
-      await message.reply(ERROR_MESSAGE);
+      await message.reply(notice);
     }
   }
 }
 
-async function generateResponse(messageId, channelId) {
-  const dialog = [];
-  let lastChainId = messageId;
-  const channel = await discordClient.channels.fetch(channelId);
+/**
+ * Applies the spending caps (switching `settings.model` to the fallback past a soft cap) and the rate limits and quotas.
+ * Returns the limit that stops the request, or null.
+ */
+async function applyLimits(requester, settings, id) {
+  const budget = limits.checkBudget(requester, settings);
+  if (budget?.action === 'stop') {
+    console.log(`Request ${id} stopped by the ${budget.scope} spending cap`);
+    return budget;
+  }
+  if (budget?.action === 'downgrade' && settings.budgetFallbackModel) {
+    console.log(`Request ${id}: ${budget.scope} soft spending cap reached, using ${settings.budgetFallbackModel}`);
+    settings.model = settings.budgetFallbackModel;
+  }
+  const block = await limits.check(requester, settings);
+  if (block) console.log(`Request ${id} hit the ${block.scope} ${block.kind} limit`);
+  return block;
+}
+
+/**
+ * Runs a context-menu action (`translate`, `explain` or `summarize`) on a message for the user who invoked it
+ * and returns the reply. Works in every channel, regardless of the trigger mode and the channel lists.
+ */
+async function runMessageAction(action, message, { userId, language }) {
+  const settings = settingsFor(message);
+  const requester = { userId, channelId: message.channelId, guildId: message.guildId };
+  const block = await applyLimits(requester, settings, `${action} ${message.id}`);
+  if (block) return limitNotice(block, settings);
 
-  while (true) {
-    if (!messageCache.has(lastChainId)) {
-      const msg = await channel.messages.fetch(lastChainId).catch(() => null);
-      if (!msg) break;
-      messageCache.set(lastChainId, { text: msg.content, reference: msg.reference?.messageId, author: msg.author.username });
+  const languageName = LANGUAGES[language]?.name ?? language;
+  try {
+    const entry = await cacheEntryOf(message, message.content, settings);
+    messageCache.set(message.id, entry);
+    if (action === 'translate') {
+      // Same rule as in translate mode: images only count when the text in them is translated
+      const readsImages = settings.imageTranslation && entry.images.length > 0;
+      if (!isTranslatableText(entry.text) && !readsImages) return NOTHING_TO_TRANSLATE_MESSAGE;
+      const { sourceLanguage } = languagesFor(entry.text, settings);
+      if (sourceLanguage === language && !readsImages) {
+        return `This message is already in ${languageName}.`;
+      }
+      const reply = await generateTranslation(message.id, { ...settings, translationStyle: 'lines' }, {
+        entry, languages: [language], candidates: [language], sourceLanguage, requester,
+      });
+      return reply ?? NOTHING_TO_TRANSLATE_MESSAGE;
     }
-    const cached = messageCache.get(lastChainId);
-    dialog.push({ role: thisBotMessages.has(lastChainId) ? 'assistant' : 'user', content: cached.text, name: cached.author });
-    if (!cached.reference) break;
-    lastChainId = cached.reference;
+    return await generateResponse(message.id, message.channelId, {
+      ...settings,
+      prompt: MESSAGE_ACTION_PROMPT.replaceAll('{language}', languageName),
+      showReasoning: false,
+    }, { requester, instruction: MESSAGE_ACTION_INSTRUCTIONS[action] });
+  } catch (err) {
+    console.error(`Error running ${action} on message ${message.id}:`, err);
+    return errorMessageFor(err, settings);
+  }
+}
+
+function errorMessageFor(err, settings) {
+  switch (classifyError(err)) {
+    case 'rate_limit':
+      return settings.rateLimitMessage;
+    case 'server':
+    case 'timeout':
+    case 'circuit_open':
+      return settings.unavailableMessage;
+    case 'context_length':
+      return settings.contextLengthMessage;
+    case 'content_policy':
+      return settings.contentPolicyMessage;
+    default:
+      return settings.errorMessage;
+  }
+}
+
+/**
+ * Sends a request to the configured provider, books the tokens it used against the requester's quotas
+ * and records them for the usage reports.
+ */
+async function complete(settings, request, requester) {
+  const result = await resilience.run(settings.provider, () => providers.complete(settings.provider, request));
+  const tokens = result.usage ?? estimateUsage(request, result.text);
+  limits.recordTokens(requester, tokens.promptTokens + tokens.completionTokens);
+  const cost = usage.record({ ...requester, model: request.model, ...tokens });
+  console.log(`${settings.provider} ${request.model}: ${tokens.promptTokens} prompt + ${tokens.completionTokens} completion tokens`
+    + `${result.usage ? '' : ' (estimated)'}, ${cost === null ? 'no price' : `$${cost.toFixed(6)}`}`);
+  return result;
+}
+
+// Stand-in for backends that don't report usage
+function estimateUsage(request, text) {
+  const prompt = [request.system, ...request.turns.map(turn => turn.content)].join('\n');
+  return { promptTokens: countTokens(prompt, request.model), completionTokens: countTokens(text, request.model), reasoningTokens: 0 };
+}
+
+// Cached entry of a message, fetched from the channel first if needed; null if it no longer exists
+async function entryOf(channel, id, settings) {
+  if (!messageCache.has(id)) {
+    const msg = await channel.messages.fetch(id).catch(() => null);
+    if (!msg) return null;
+    messageCache.set(id, await cacheEntryOf(msg, msg.content, settings));
+  }
+  return messageCache.get(id);
+}
+
+// The message and the messages it (indirectly) replies to, oldest first
+async function replyChainOf(channel, messageId, settings) {
+  const chain = [];
+  let id = messageId;
+  while (id && chain.length < settings.maxChainLength) {
+    const entry = await entryOf(channel, id, settings);
+    if (!entry) break;
+    chain.push({ id, entry });
+    id = entry.reference;
+  }
+  return chain.reverse();
+}
+
+/**
+ * The messages the model sees for an answer, oldest first, as `{ id, entry }`, by the `contextMode` strategy:
+ * the reply chain (`replies`), or the latest messages of the channel (`history`).
+ * In threads people rarely hit "reply", so with `threadContext` their recent history is used in either mode.
+ */
+function conversationOf(channel, messageId, settings) {
+  if (settings.contextMode === 'history') {
+    return recentHistoryOf(channel, messageId, settings, { count: settings.historyMessages, minutes: settings.historyMinutes });
+  }
+  if (settings.threadContext && channel.isThread()) {
+    return recentHistoryOf(channel, messageId, settings, { count: settings.maxChainLength, minutes: 0 });
+  }
+  return replyChainOf(channel, messageId, settings);
+}
+
+// Whether a message belongs in the conversation: no system messages (pins, joins) and none of the bot's notices
+function isConversationMessage(msg) {
+  if (msg.type !== MessageType.Default && msg.type !== MessageType.Reply) return false;
+  return msg.author.id !== discordClient.user.id || thisBotMessages.has(msg.id);
+}
+
+// Up to `count` messages of a channel ending with the given one (at most `minutes` old unless 0), oldest first.
+// In threads the message the thread was started from is included once the history reaches back to it.
+async function recentHistoryOf(channel, messageId, settings, { count, minutes }) {
+  const limit = Math.min(count - 1, MAX_FETCH_LIMIT);
+  const fetched = limit > 0 ? [...(await channel.messages.fetch({ before: messageId, limit })).values()] : [];
+  const since = minutes > 0 ? Date.now() - minutes * 60 * 1000 : 0;
+  const messages = fetched
+    .filter(msg => isConversationMessage(msg) && msg.createdTimestamp >= since)
+    .reverse();
+  if (channel.isThread() && fetched.length < limit) {
+    const starter = await channel.fetchStarterMessage().catch(() => null);
+    if (starter && starter.createdTimestamp >= since && !messages.some(msg => msg.id === starter.id)) messages.unshift(starter);
+  }
+
+  const history = [];
+  for (const msg of messages) {
+    if (!messageCache.has(msg.id)) messageCache.set(msg.id, await cacheEntryOf(msg, msg.content, settings));
+    history.push({ id: msg.id, entry: messageCache.get(msg.id) });
+  }
+  const current = await entryOf(channel, messageId, settings);
+  if (current) history.push({ id: messageId, entry: current });
+  return history;
+}
+
+// Models without image input at least learn that something was attached
+function withImages(entry, vision) {
+  const count = entry.images?.length ?? 0;
+  if (vision || count === 0) return entry.text;
+  return `${entry.text}\n(${count} image${count === 1 ? '' : 's'} attached, not shown)`.trim();
+}
+
+/**
+ * Builds the dialog from the reply chain and asks the model for an answer.
+ * When `onPartial` is given the completion is streamed and it receives the accumulated text so far.
+ * An `instruction` is added as the last user turn, after the chain.
+ */
+async function generateResponse(messageId, channelId, settings, { onPartial, requester, instruction }) {
+  const vision = visionEnabled(settings);
+  const channel = await discordClient.channels.fetch(channelId);
+  const history = await conversationOf(channel, messageId, settings);
+  const dialog = history.map(({ id, entry }) => ({
+    id,
+    role: thisBotMessages.has(id) ? 'assistant' : 'user',
+    content: withImages(entry, vision),
+    name: entry.author,
+    images: vision ? entry.images : [],
+  }));
+  if (instruction) dialog.push({ role: 'user', content: instruction });
+  // Only the glossary terms that occur in the conversation go into the prompt
+  const terms = glossaryPrompt(glossary.get(requester.guildId), dialog.map(turn => turn.content).join('\n'));
+  const system = [settings.prompt, terms].filter(Boolean).join('\n\n');
+  const budget = settings.contextMode === 'history' && settings.historyTokens > 0
+    ? Math.min(settings.historyTokens, contextBudgetOf(settings))
+    : contextBudgetOf(settings);
+  const fitted = await fitDialog(dialog, {
+    model: settings.model,
+    system,
+    budget,
+    summarize: settings.contextOverflow === 'summarize' ? turns => summarizeTurns(turns, settings, requester) : null,
+    summaryTokens: SUMMARY_MAX_TOKENS,
+  });
+  if (fitted.dropped) console.log(`Context for ${messageId}: ${fitted.dropped} oldest messages did not fit (${settings.contextOverflow})`);
+
+  // Mentions the model saw as placeholders become real mentions again in the answer
+  const mentions = Object.assign({}, ...history.map(({ entry }) => entry.mentions));
+  const result = await complete(settings, {
+    model: settings.model,
+    system,
+    turns: fitted.turns.map(({ role, content, name, images }) => ({ role, content, name, images })),
+    maxOutputTokens: settings.maxOutputTokens,
+    reasoningEffort: settings.reasoningEffort,
+    reasoningSummary: settings.reasoningSummary,
+    onPartial: onPartial && (partial => onPartial(restoreMentions(partial, mentions))),
+  }, requester);
+  const text = restoreMentions(result.text, mentions);
+  const { reasoning } = result;
+  if (!reasoning || !settings.showReasoning || !text) return text;
+  // Show the model's reasoning summary as a quote above the answer
+  return `${reasoning.split('\n').map(line => `> ${line}`).join('\n')}\n\n${text}`;
+}
+
+/**
+ * Translates a single message into the given languages using structured JSON output.
+ * `entry` is the message as cached when it was handled; `sourceLanguage` is its locally detected language, if any.
+ * With `imageTranslation` the text read from the message's images is translated along with it, and the languages are
+ * picked again from `candidates` (default: the target languages) once the text in the images decides the source language.
+ * Texts translated before with the same languages, model and instructions come from the translation memory.
+ * Returns the rendered reply (text or message payload), or null when there is nothing to translate.
+ */
+async function generateTranslation(messageId, settings, { entry, languages, candidates = settings.targetLanguages, sourceLanguage, requester }) {
+  let content = entry.text;
+  if (settings.imageTranslation && entry.images?.length) {
+    const extracted = await ocr.extract(entry.images, settings, requester);
+    if (!extracted && !isTranslatableText(content)) return null;
+    content = [content, extracted].filter(Boolean).join('\n\n');
+    // A screenshot decides the language rather than a short caption next to it
+    ({ sourceLanguage, languages } = languagesFor(content, settings, candidates));
+    if (languages.length === 0) return null;
+  }
+
+  const terms = glossary.get(requester.guildId);
+  const instructions = [settings.translationInstructions, glossaryPrompt(terms, content, languages)].filter(Boolean).join('\n');
+  // Everything the answer depends on besides the text; mentions are placeholders in both text and result
+  const version = [settings.provider, settings.model, settings.glossaryCheck, translationPrompt(languages, instructions, sourceLanguage)];
+  const memoryKey = translationMemory.keyOf(content, version);
+  let remembered = settings.translationMemory ? translationMemory.get(memoryKey) : undefined;
+  if (remembered) {
+    console.log(`Translation of ${messageId} answered from the translation memory`);
+  } else {
+    remembered = await checkedTranslation(messageId, content, { languages, sourceLanguage, instructions, terms }, settings, requester);
+    if (settings.translationMemory) translationMemory.set(memoryKey, remembered);
+  }
+  const { violations } = remembered;
+
+  const result = { ...remembered.result, translations: { ...remembered.result.translations } };
+  for (const [code, translation] of Object.entries(result.translations)) {
+    result.translations[code] = restoreMentions(String(translation ?? ''), entry.mentions);
+  }
+  const note = violations.length ? `Glossary not followed: ${formatViolations(violations)}` : null;
+  return renderTranslation(result, languages, settings.translationStyle, note);
+}
+
+// Translates and runs the glossary post-check (retrying once with `glossaryCheck: fix`); returns `{ result, violations }`
+async function checkedTranslation(messageId, content, { languages, sourceLanguage, instructions, terms }, settings, requester) {
+  let result = await translate(content, languages, sourceLanguage, instructions, settings, requester);
+  let violations = settings.glossaryCheck === 'off' ? [] : glossaryViolations(terms, content, visibleOf(result));
+  if (violations.length && settings.glossaryCheck === 'fix') {
+    console.log(`Translation of ${messageId} breaks the glossary (${formatViolations(violations)}), retrying`);
+    const corrections = `Your previous translation broke the glossary. Make sure of this: ${formatViolations(violations)}.`;
+    result = await translate(content, languages, sourceLanguage, `${instructions}\n${corrections}`, settings, requester);
+    violations = glossaryViolations(terms, content, visibleOf(result));
   }
+  if (violations.length) console.log(`Translation of ${messageId} breaks the glossary: ${formatViolations(violations)}`);
+  return { result, violations };
+}
+
+async function translate(content, languages, sourceLanguage, instructions, settings, requester) {
+  const { text } = await complete(settings, {
+    model: settings.model,
+    system: translationPrompt(languages, instructions, sourceLanguage),
+    turns: [{ role: 'user', content }],
+    maxOutputTokens: settings.maxOutputTokens,
+    reasoningEffort: settings.reasoningEffort,
+    responseSchema: translationSchema(languages),
+  }, requester);
+  return parseTranslation(text);
+}
+
+// The translations that get shown, as checked against the glossary: none into the source language
+function visibleOf(result) {
+  if (!result.translatable) return {};
+  return Object.fromEntries(Object.entries(result.translations).filter(([code]) => code !== result.sourceLanguage));
+}
+
+function formatViolations(violations) {
+  return violations.map(({ language, term, expected }) => term === expected
+    ? `keep "${term}" (${language})`
+    : `"${term}" → "${expected}" (${language})`).join(', ');
+}
+
+async function summarizeTurns(turns, settings, requester) {
+  const key = `${settings.model}:${turns[turns.length - 1].id}`;
+  if (summaryCache.has(key)) return summaryCache.get(key);
 
-  dialog.reverse();
-  dialog.push({ role: 'system', content: SYSTEM_PROMPT });
+  // The dropped turns alone can exceed the context window, so the oldest ones are left out of the summary too
+  const budget = contextBudgetOf(settings) - SUMMARY_MAX_TOKENS - countTokens(SUMMARY_PROMPT, settings.model);
+  const lines = [];
+  let used = 0;
+  for (const turn of [...turns].reverse()) {
+    const line = `${turn.role === 'assistant' ? botName : turn.name}: ${turn.content}`;
+    const cost = countTokens(line, settings.model) + 1;
+    if (lines.length > 0 && used + cost > budget) break;
+    lines.unshift(line);
+    used += cost;
+  }
+  if (lines.length < turns.length) console.log(`Summary of ${turns.length} turns: only the last ${lines.length} fit`);
+  const transcript = lines.join('\n');
+  const { text: summary } = await complete(settings, {
+    model: settings.model,
+    system: SUMMARY_PROMPT,
+    turns: [{ role: 'user', content: transcript }],
+    maxOutputTokens: SUMMARY_MAX_TOKENS,
+  }, requester);
+  summaryCache.set(key, summary);
+  return summary;
+}
 
-  const res = await openaiClient.chat.completions.create({ model: process.env.GPT_MODEL || 'gpt-4', messages: dialog, max_tokens: 4096, n: 1 });
-  return res.choices[0].message.content;
+function shutdown(signal) {
+  console.log(`Shutting down on ${signal}`);
+  store.close();
+  config.close();
+  glossary.close();
+  discordClient.destroy();
+  process.exit(0);
 }
 
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGHUP', () => {
+  config.reload();
+  glossary.reload();
+  usage.reload();
+});
+
 discordClient.login(process.env.DISCORD_BOT_TOKEN);